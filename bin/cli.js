@@ -1,88 +1,1256 @@
 #!/usr/bin/env node
-import { argv, exit } from 'node:process';
-import { resolve } from 'node:path';
+import { argv, exit, stdin } from 'node:process';
+import { resolve, extname, dirname } from 'node:path';
+import { promises as fs } from 'node:fs';
 import { fileURLToPath } from 'node:url';
-import { resolveInput, fetchVideoMeta, selectFile, downloadFile, deriveOutputName } from '../lib/index.js';
+import { createInterface } from 'node:readline';
+import { Writable } from 'node:stream';
+import {
+  resolveInput,
+  resolveBastyonAuthor,
+  listCollectionVideos,
+  matchesDateFilter,
+  fetchVideoMeta,
+  downloadCaptions,
+  writeMetadataFiles,
+  embedMetadata,
+  fetchBastyonPost,
+  writePostArchive,
+  postAsMeta,
+  postBaseName,
+  selectFile,
+  downloadCandidate,
+  createProgressBar,
+  deriveOutputName,
+  openArchive,
+  archiveKeys,
+  peertubeKey,
+  isOutputTemplate,
+  resolveCollision,
+  releasePath,
+  buildCandidates,
+  listFormats,
+  parseFormatSelector,
+  parseRate,
+  setRateLimit,
+  getHostPacer,
+  setHostPacing,
+  verifyDownload,
+  createRpcPool,
+  defaultRpcPool,
+  setDefaultRpcPool,
+  parseRpcNodes,
+  createCache,
+  getDefaultCache,
+  setDefaultCache,
+  CACHE_NAMESPACES,
+  codedError,
+  errorCode,
+  serializeError,
+  loadSubscriptions,
+  watchPaths,
+  loadWatchState,
+  saveWatchState,
+  DEFAULT_WATCH_INTERVAL,
+  DEFAULT_WATCH_MAX,
+  peertubeLogin,
+  peertubeLogout,
+  getDefaultTokenStore,
+} from '../lib/index.js';
+
+// bvd watch looks for edits of the subscriptions file at least this often
+const WATCH_RELOAD_MS = 60 * 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// With --json, stdout carries only the JSON lines; messages for people go to stderr
+let jsonOutput = false;
+let say = console.log;
+
+// onRetry for downloads: the library only reports connection retries, the CLI
+// prints them (on their own line, past a progress bar)
+function retryNotice(retries) {
+  return (e, delay, attempt) => {
+    process.stderr.write(`\nConnection problem (${e.message}); retrying in ${Math.ceil(delay / 1000)}s [${attempt}/${retries}]\n`);
+  };
+}
+
+// onWait for API requests: a host answered 429 (or 503) with Retry-After
+function slowDownNotice(host, wait, status) {
+  process.stderr.write(`${host} asked to slow down (${status}); waiting ${Math.ceil(wait / 1000)}s\n`);
+}
+
+// onAuthExpired: an expired login is reported once per instance, the
+// requests carry on without it
+const expiredLogins = new Set();
+function expiredLoginNotice(e) {
+  if (expiredLogins.has(e.message)) return;
+  expiredLogins.add(e.message);
+  process.stderr.write(`${e.message}; continuing without it\n`);
+}
+
+// The callbacks every API helper takes
+const notices = { onWait: slowDownNotice, onAuthExpired: expiredLoginNotice };
 
 function printHelp() {
   console.log(`bastyon-video-downloader (bvd)
 
 Usage:
-  bvd <bastyon-post-url|peertube-url|peertube://host/uuid> [options]
+  bvd <bastyon-post-url|peertube-url|peertube://host/uuid>... [options]
+  bvd verify <file> <video-url|torrent-url> [--no-repair] [--retries <number>]
+  bvd nodes [--rpc-nodes <list>]   Check latency and block height of the Bastyon RPC nodes
+  bvd cache stats                  Show what the metadata cache holds
+  bvd cache clear [posts|videos]   Empty the metadata cache (or one part of it)
+  bvd login <instance> [--username <name>] [--password <password>] [--otp <code>]
+                                   Log in to a PeerTube instance for its private and internal videos
+  bvd login --list                 Show the instances logged in to
+  bvd logout <instance>            Forget (and revoke) the login for an instance
+  bvd watch <subscriptions.json> [--once] [options]
+                                   Check channels, accounts, playlists and Bastyon authors
+                                   on an interval and download new videos (see README)
+
+Channel (/c/NAME), account (/a/NAME) and playlist (/w/p/ID) URLs download every video they list.
+Bastyon profile URLs (https://bastyon.com/NAME) and PKOIN addresses download every video post of the author.
 
 Options:
-  -o, --output <path>     Output file path (default: derived from title)
+  -o, --output <path>     Output file path (default: derived from title).
+                          With several inputs this is the output directory.
+                          A template with {fields} names every file, e.g.
+                          "{channel}/{published:YYYY-MM-DD} - {title} [{uuid}].{ext}"
+                          Fields: title, uuid, short_uuid, channel, channel_id, account,
+                          account_id, host, published, originally_published, duration,
+                          category, language, height, fps, txid, ext
+  --restrict-filenames    Limit file names to ASCII letters, digits, '.', '_' and '-'
+  --collision <policy>    When the output file exists: skip, overwrite or number. Default: skip
   -q, --quality <number>  Preferred max resolution height (e.g., 1080, 720). Default: best
-  --audio-only            Download audio-only file if available
+  --audio-only            Download the audio-only file; without one, download the smallest
+                          MP4 video and keep only its AAC/Opus sound track as .m4a
+  --video-password <pw>   Password of a password-protected PeerTube video
+  -f, --format <selector> Pick the file with a selector instead of -q/--audio-only, e.g.
+                          "best[height<=720][fps<=30][ext=mp4]/worst[size<200M]/bestaudio"
+                          or an index from --list-formats. See README for the syntax
+  --retries <number>      Retries after a dropped connection, resuming the .part file. Default: 3
+  --connections <number>  Parallel connections per file, each fetching its own byte range.
+                          Falls back to one when the server does not support ranges. Default: 1
+  --verify                Check the saved file against the PeerTube torrent piece hashes
+                          and re-fetch corrupt byte ranges
+  -a, --batch-file <file> Read URLs from a file, one per line ('#' starts a comment, '-' reads stdin)
+  --concurrency <number>  Number of videos downloaded at the same time. Default: 1
+  --limit-rate <rate>     Maximum download rate in bytes per second for all downloads together,
+                          e.g. 500K or 2M. Default: $BVD_LIMIT_RATE or unlimited
+  --sleep-requests <sec>  Wait at least this long between two metadata or RPC requests to the
+                          same host. Default: $BVD_SLEEP_REQUESTS or 0
+  --host-concurrency <n>  Metadata or RPC requests in flight per host. Default: $BVD_HOST_CONCURRENCY or 4
+  --write-subs            Also save the video's captions next to it
+  --sub-langs <list>      Caption languages to save, comma separated (e.g., en,ru). Default: all
+  --sub-format <vtt|srt>  Caption file format. Default: vtt
+  --write-info-json       Save normalized metadata as <name>.info.json
+  --write-thumbnail       Save the preview image as <name>-thumb.jpg
+  --write-description     Save the description as <name>.description
+  --write-chapters        Save PeerTube chapters as <name>.chapters.vtt
+  --write-nfo             Save a Kodi/Jellyfin <name>.nfo
+  --write-metadata        All of the --write-* metadata files above
+  --embed-metadata        Write title, channel, date, description and source URL as MP4 tags
+                          into the saved file, with the preview image as cover art and the
+                          PeerTube chapters as MP4 chapters (MP4/M4A files only)
+  --archive-post          For Bastyon posts, also save the post text, tags, author, images and
+                          comments as <name>.post.md and <name>.post.json. Posts without a
+                          video are saved on their own
+  --download-archive <file>
+                          Record downloaded videos in <file> and skip videos already listed there
+  --playlist-start <n>    First entry of a channel/account/playlist to download (1-based). Default: 1
+  --playlist-end <n>      Last entry of a channel/account/playlist to download. Default: last
+  --max-downloads <n>     Stop after downloading n videos (also caps posts read from a Bastyon author)
+  --date <YYYYMMDD>       Only videos published on this day
+  --datebefore <YYYYMMDD> Only videos published on or before this day
+  --dateafter <YYYYMMDD>  Only videos published on or after this day
+  --rpc-nodes <list>      Bastyon RPC nodes to use, comma separated, tried in order
+                          (e.g., https://5.pocketnet.app:8899). Default: $BASTYON_RPC_NODES
+                          or the built-in list
+  --rpc-timeout <seconds> Timeout for one Bastyon RPC request before trying the next node. Default: 10
+  --no-cache              Neither read nor write the metadata cache
+  --refresh               Fetch posts and metadata again and update the cache
+  -F, --list-formats      List every file of the video (index, height, fps, type, size, source, URL)
+                          instead of downloading
+  -g, --get-url           Print the URL of the file that would be downloaded instead of downloading
+  -s, --simulate          Resolve and pick the file, but do not download or write anything
+  -j, --json              Print one JSON object per video on stdout (see README); other
+                          messages go to stderr
   -h, --help              Show this help
+
+Exit codes:
+  0  every input was saved or skipped
+  1  every input failed
+  2  usage error
+  3  some inputs failed
 `);
 }
 
-async function main() {
-  const args = argv.slice(2);
-  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
-    printHelp();
-    return;
+async function readBatchFile(file) {
+  let text;
+  if (file === '-') {
+    const chunks = [];
+    for await (const chunk of stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString('utf8');
+  } else {
+    text = await fs.readFile(file, 'utf8');
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+// Runs fn over items with at most `limit` calls in flight; results keep input order.
+async function runPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Resolves an input to the videos it stands for: one for a video URL, every
+// listed video for a channel, account or playlist URL, every video post for a
+// Bastyon author. With `allPosts` (--archive-post) Bastyon posts without a
+// video come back too, as items with `postOnly` set.
+async function expandInput(input, filters) {
+  let resolved;
+  try {
+    resolved = await resolveInput(input);
+  } catch (e) {
+    if (!filters.allPosts || !e || e.code !== 'POST_NO_VIDEO' || !e.txid) throw e;
+    return [{ input, host: null, id: null, txid: e.txid, postOnly: true }];
+  }
+  const { host, id, list, author, txid } = resolved;
+  if (author) {
+    const { address, posts } = await resolveBastyonAuthor(input, filters);
+    if (!posts.length) say(`No ${filters.allPosts ? '' : 'video '}posts selected from Bastyon author ${address}`);
+    return posts.map((p) => ({
+      input: `https://bastyon.com/post?s=${p.txid}`,
+      host: p.host,
+      id: p.id,
+      txid: p.txid,
+      postOnly: !p.id,
+    }));
+  }
+  if (list) {
+    const entries = await listCollectionVideos(host, list, { ...filters, ...notices });
+    if (!entries.length) say(`No videos selected from ${list.type} ${list.name}`);
+    return entries.map((e) => ({ input: `${e.host}/w/${e.id}`, host: e.host, id: e.id, origin: e.origin }));
+  }
+  if (!host || !id) {
+    throw codedError('BAD_INPUT', 'Unable to resolve input. Expect Bastyon post URL, peertube://host/uuid or PeerTube URL');
+  }
+  return [{ input, host, id, txid }];
+}
+
+function describeFormat(f) {
+  const parts = [f.kind, f.height && `${f.height}p`, f.mimeType, f.source === 'hls' ? 'HLS' : f.source];
+  if (f.extractAudio) parts.push('audio extracted to .m4a');
+  return parts.filter(Boolean).join(', ');
+}
+
+function printFormats(meta, formats, chosen) {
+  console.log(`Formats of ${meta.name || meta.title || meta.uuid || 'video'}:`);
+  const rows = formats.map((f) => [
+    `${f.fileUrl === (chosen && chosen.fileUrl) ? '*' : ' '}${f.index}`,
+    f.kind,
+    f.height ? `${f.height}p` : '-',
+    f.fps ? String(f.fps) : '-',
+    f.mimeType || '-',
+    f.size ? humanBytes(f.size) : '-',
+    f.source === 'hls' ? 'HLS' : f.source,
+    f.fileUrl,
+  ]);
+  const header = ['#', 'kind', 'height', 'fps', 'type', 'size', 'source', 'url'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  '));
+  }
+  if (!formats.length) console.log('(no downloadable files)');
+}
+
+// The output base (path without extension) for a post bundle, after the
+// collision policy; null when it should be skipped. The bundle is several
+// files, so .post.json stands for all of them.
+async function resolvePostCollision(base, collision) {
+  const taken = (b) => fs.access(`${b}.post.json`).then(() => true, () => false);
+  if (collision === 'overwrite' || !(await taken(base))) return base;
+  if (collision === 'skip') return null;
+  for (let n = 1; ; n++) {
+    if (!(await taken(`${base} (${n})`))) return `${base} (${n})`;
+  }
+}
+
+// --archive-post for a Bastyon post without a video: only the bundle is saved.
+// Like processInput, never throws.
+async function processPostOnly(item, opts) {
+  const { output, outputDir, template, restrict, collision, archive, mode } = opts;
+  const { input: inputUrl, txid } = item;
+  const result = { input: inputUrl, host: null, id: null, txid };
+  try {
+    if (mode === 'list-formats' || mode === 'get-url') {
+      throw codedError('POST_NO_VIDEO', 'Post has no external video URL');
+    }
+    const keys = [`bastyon ${txid}`];
+    if (archive && archive.has(keys)) return { ...result, status: 'skipped', reason: 'already in the download archive' };
+
+    const post = await fetchBastyonPost(txid);
+    result.title = postAsMeta(post).name;
+    if (!matchesDateFilter(post.publishedAt, opts.filters)) {
+      return { ...result, status: 'skipped', reason: 'outside the date range' };
+    }
+    // A single -o names the bundle like a video file: its extension is dropped
+    const target = template || outputDir
+      ? resolve(outputDir || process.cwd(), postBaseName(post, { template, restrict }))
+      : output
+        ? resolve(process.cwd(), output.slice(0, output.length - extname(output).length))
+        : resolve(process.cwd(), postBaseName(post, { restrict }));
+    const base = await resolvePostCollision(target, collision);
+    if (!base) {
+      if (archive && mode === 'download') await archive.add(keys);
+      return { ...result, status: 'skipped', reason: `${target}.post.json already exists` };
+    }
+    result.outPath = `${base}.post.json`;
+    if (mode === 'simulate') return { ...result, status: 'simulated' };
+
+    await fs.mkdir(dirname(base), { recursive: true });
+    const files = await writePostArchive(post, base);
+    for (const f of files.slice(1)) say(`Post: ${f}`);
+    if (archive) await archive.add(keys);
+    return { ...result, status: 'saved' };
+  } catch (e) {
+    return { ...result, status: 'failed', error: e && e.message ? e.message : String(e), errorCode: errorCode(e) };
+  }
+}
+
+// Downloads a single video, or with `mode` lists its formats ('list-formats'),
+// prints its URL ('get-url') or only resolves it ('simulate'). Never throws:
+// failures are reported in the result so one bad URL does not stop the rest of a batch.
+async function processInput(item, opts) {
+  if (item.postOnly) return processPostOnly(item, opts);
+  const { output, outputDir, template, restrict, collision, quality, audioOnly, format, retries, connections, progress, verify } = opts;
+  const { filters, subs, sidecars, archive, inFlight, mode, videoPassword, archivePost, embed } = opts;
+  const { input: inputUrl, host, id, txid, origin } = item;
+  const result = { input: inputUrl, host, id, txid: txid || null };
+  let keys = [];
+  let outPath = null;
+  try {
+    // A known Bastyon post, or a channel entry whose origin is known, needs no
+    // metadata request at all
+    const known = [];
+    if (txid) known.push(`bastyon ${txid}`);
+    if (origin && UUID_RE.test(id)) known.push(peertubeKey(origin, id));
+    if (mode !== 'list-formats' && archive && archive.has(known)) {
+      return { ...result, status: 'skipped', reason: 'already in the download archive' };
+    }
+
+    const meta = await fetchVideoMeta(host, id, { password: videoPassword, ...notices });
+    result.title = meta.name || meta.title || null;
+    if (!matchesDateFilter(meta.publishedAt, filters)) {
+      return { ...result, status: 'skipped', reason: 'outside the date range' };
+    }
+
+    const formats = listFormats(meta);
+    if (mode === 'list-formats') {
+      const chosen = selectFile(meta, { quality, audioOnly, format });
+      return { ...result, status: 'listed', meta, formats, chosen: (chosen && formats.find((f) => f.fileUrl === chosen.fileUrl)) || null };
+    }
+
+    keys = archiveKeys(meta, { host, txid });
+    if (archive && archive.has(keys)) {
+      if (mode !== 'download') return { ...result, status: 'skipped', reason: 'already in the download archive' };
+      // Remember this route to the video too (e.g. a new Bastyon post of an archived video)
+      await archive.add(keys);
+      return { ...result, status: 'skipped', reason: 'already in the download archive' };
+    }
+    // The same video listed twice in one batch (e.g. via a mirror) downloads once
+    if (keys.some((k) => inFlight.has(k))) {
+      return { ...result, status: 'skipped', reason: 'same video is already being downloaded' };
+    }
+    for (const k of keys) inFlight.add(k);
+
+    const selected = selectFile(meta, { quality, audioOnly, format });
+    if (!selected) {
+      throw codedError('NO_FORMAT', format
+        ? `No file matches the format selector "${format}". See --list-formats`
+        : 'No suitable downloadable file found. Try without --audio-only or different quality');
+    }
+    const found = formats.find((f) => f.fileUrl === selected.fileUrl);
+    const chosen = selected.extractAudio ? { ...found, extractAudio: true } : found;
+    result.chosen = chosen;
+    if (mode === 'get-url') return { ...result, status: 'simulated' };
+
+    const name = deriveOutputName(meta, chosen, { template, restrict, source: { host, txid } });
+    const target = template || outputDir
+      ? resolve(outputDir || process.cwd(), name)
+      : resolve(process.cwd(), output || name);
+    // Reserved until this video is done, so parallel downloads never pick the same name
+    outPath = await resolveCollision(target, collision, { reserve: true });
+    if (!outPath) {
+      if (!(await fs.access(target).then(() => true, () => false))) {
+        return { ...result, status: 'skipped', reason: `${target} is being written by another download` };
+      }
+      if (archive && mode === 'download') await archive.add(keys);
+      return { ...result, status: 'skipped', reason: `${target} already exists` };
+    }
+    result.outPath = outPath;
+    if (mode === 'simulate') return { ...result, status: 'simulated' };
+    await fs.mkdir(dirname(outPath), { recursive: true });
+    if (chosen.extractAudio) say(`No audio-only file; extracting the sound of the ${describeFormat(found)} file`);
+
+    const bar = progress ? createProgressBar() : null;
+    try {
+      await downloadCandidate(chosen, outPath, { retries, connections, onProgress: bar && bar.update, onRetry: retryNotice(retries), ...notices });
+    } finally {
+      if (bar) bar.done();
+    }
+
+    if (verify) {
+      if (chosen.extractAudio) {
+        say('Verify: the torrent is of the video, not of the extracted audio, skipping the check');
+      } else if (!chosen.torrentUrl) {
+        say('Verify: no torrent published for this file, skipping the check');
+      } else {
+        const report = await verifyDownload(outPath, {
+          torrentUrl: chosen.torrentUrl,
+          fileUrl: chosen.fileUrl,
+          retries,
+          log: (line) => say(`Verify: ${line}`),
+          onRetry: retryNotice(retries),
+          ...notices,
+        });
+        if (!report.ok) throw codedError('VERIFY_FAILED', `Verification failed: ${outPath} does not match the torrent piece hashes`);
+        say(report.repaired ? 'Verify: repaired, all pieces match' : 'Verify: all pieces match');
+      }
+    }
+    if (archive) await archive.add(keys);
+
+    // Captions and sidecars are extras: a failure is reported but the video still counts as saved
+    const base = outPath.slice(0, outPath.length - extname(outPath).length);
+    if (embed) {
+      try {
+        const done = await embedMetadata(outPath, meta, { host, txid }, { password: videoPassword, ...notices });
+        const parts = [`${done.tags.length} tags`, done.cover && 'cover art', done.chapters && `${done.chapters} chapters`];
+        say(`Embedded: ${parts.filter(Boolean).join(', ')}`);
+      } catch (e) {
+        if (errorCode(e) === 'UNSUPPORTED_CONTAINER') say(`Embedding metadata skipped: ${e.message}`);
+        else console.error(`Embedding metadata failed: ${e && e.message ? e.message : e}`);
+      }
+    }
+    if (subs) {
+      try {
+        const files = await downloadCaptions(host, id, base, { ...subs, password: videoPassword, ...notices });
+        if (!files.length) say('No captions available');
+        for (const f of files) say(`Captions: ${f}`);
+      } catch (e) {
+        console.error(`Caption download failed: ${e && e.message ? e.message : e}`);
+      }
+    }
+    if (sidecars) {
+      try {
+        const files = await writeMetadataFiles(meta, base, { host, txid }, { ...sidecars, chosen, password: videoPassword, ...notices });
+        for (const f of files) say(`Metadata: ${f}`);
+      } catch (e) {
+        console.error(`Writing metadata files failed: ${e && e.message ? e.message : e}`);
+      }
+    }
+    if (archivePost && txid) {
+      try {
+        const files = await writePostArchive(await fetchBastyonPost(txid), base);
+        for (const f of files) say(`Post: ${f}`);
+      } catch (e) {
+        console.error(`Archiving the post failed: ${e && e.message ? e.message : e}`);
+      }
+    }
+
+    return { ...result, status: 'saved' };
+  } catch (e) {
+    for (const k of keys) inFlight.delete(k);
+    return { ...result, status: 'failed', error: e && e.message ? e.message : String(e), errorCode: errorCode(e) };
+  } finally {
+    releasePath(outPath);
   }
+}
+
+// The --json line for a result. Every line has the same keys; `formats` only
+// comes with --list-formats, `reason` with skipped and `error` with failed videos.
+function toJson(r) {
+  const line = {
+    input: r.input,
+    status: r.status,
+    host: r.host || null,
+    id: r.id || null,
+    txid: r.txid || null,
+    title: r.title || null,
+    chosen: r.chosen || null,
+    outPath: r.outPath || null,
+  };
+  if (r.formats) line.formats = r.formats;
+  if (r.reason) line.reason = r.reason;
+  if (r.error) line.error = { code: r.errorCode, message: r.error };
+  return line;
+}
+
+// Picks the file a local copy was downloaded from: the candidate whose size
+// matches, else the one the quality selection would choose.
+function findCandidateFor(meta, size, quality) {
+  const all = buildCandidates(meta).filter((c) => c.torrentUrl);
+  return all.find((c) => c.size === size) || selectFile(meta, { quality }) || all[0] || null;
+}
 
-  let inputUrl = null;
-  let output = null;
+// bvd verify <file> <url>: checks an existing download and repairs it in place
+async function verifyCommand(args) {
+  const positional = [];
+  let repair = true;
+  let retries = 3;
   let quality = null;
-  let audioOnly = false;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--no-repair') repair = false;
+    else if (a === '--retries') retries = Number(args[++i]) || 0;
+    else if (a === '-q' || a === '--quality') quality = Number(args[++i]) || null;
+    else if (!a.startsWith('-')) positional.push(a);
+  }
+  const [file, url] = positional;
+  if (!file || !url) {
+    console.error('Usage: bvd verify <file> <video-url|torrent-url> [--no-repair]');
+    exit(2);
+  }
+
+  const path = resolve(process.cwd(), file);
+  const st = await fs.stat(path).catch(() => null);
+  if (!st || !st.isFile()) {
+    console.error(`Error: ${path} is not a file`);
+    exit(2);
+  }
+
+  try {
+    let torrentUrl = null;
+    let fileUrl = null;
+    if (/\.torrent(?:$|\?)/i.test(url)) {
+      torrentUrl = url;
+    } else {
+      const { host, id } = await resolveInput(url);
+      if (!host || !id) throw codedError('BAD_INPUT', 'Unable to resolve input. Expect Bastyon post URL, peertube://host/uuid or PeerTube URL');
+      const meta = await fetchVideoMeta(host, id, notices);
+      const c = findCandidateFor(meta, st.size, quality);
+      if (!c || !c.torrentUrl) throw new Error('The video has no torrent to verify against');
+      torrentUrl = c.torrentUrl;
+      fileUrl = c.fileUrl;
+    }
+
+    const report = await verifyDownload(path, { torrentUrl, fileUrl, repair, retries, log: (line) => console.log(line), onRetry: retryNotice(retries), ...notices });
+    if (report.ok) {
+      console.log(report.repaired ? `Repaired: ${path}` : `OK: ${path}`);
+      return;
+    }
+    console.error(`Corrupt: ${path} (${report.badPieces.length} bad piece(s))`);
+    exit(1);
+  } catch (e) {
+    console.error('Verify failed:', e && e.message ? e.message : e);
+    exit(1);
+  }
+}
+
+// Replaces the default RPC pool when --rpc-nodes or --rpc-timeout is given
+function configureRpc(nodesArg, timeoutSec) {
+  if (nodesArg == null && timeoutSec == null) return;
+  const nodes = nodesArg != null ? parseRpcNodes(nodesArg) : defaultRpcPool().nodes;
+  if (!nodes.length) {
+    console.error('Error: --rpc-nodes needs at least one node');
+    exit(2);
+  }
+  const opts = timeoutSec != null ? { timeout: timeoutSec * 1000 } : {};
+  setDefaultRpcPool(createRpcPool(nodes, opts));
+}
+
+function parseTimeout(v) {
+  const n = Number(v);
+  if (!(n > 0)) {
+    console.error('Error: --rpc-timeout needs a number of seconds');
+    exit(2);
+  }
+  return n;
+}
+
+// bvd nodes: probes every RPC node once and prints a table
+async function nodesCommand(args) {
+  let nodesArg = null;
+  let timeoutSec = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--rpc-nodes') nodesArg = args[++i] || '';
+    else if (args[i] === '--rpc-timeout') timeoutSec = parseTimeout(args[++i]);
+  }
+  configureRpc(nodesArg, timeoutSec);
+
+  const results = await defaultRpcPool().probe();
+  const width = Math.max(...results.map((r) => r.node.length));
+  for (const r of results) {
+    const state = r.ok ? 'ok  ' : 'DOWN';
+    const latency = r.latency != null ? `${r.latency} ms`.padStart(8) : '       -';
+    const height = r.height != null ? `height ${r.height}` : '';
+    console.log(`${state}  ${r.node.padEnd(width)}  ${latency}  ${r.ok ? height : r.error}`);
+  }
+  if (!results.some((r) => r.ok)) exit(1);
+}
+
+function humanBytes(n) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let i = 0;
+  let v = n;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i++;
+  }
+  return `${i ? v.toFixed(1) : v} ${units[i]}`;
+}
+
+// bvd cache stats | bvd cache clear [posts|videos]
+async function cacheCommand(args) {
+  const [action, ns] = args;
+  const cache = getDefaultCache();
+  if (action === 'stats') {
+    const { dir, namespaces } = await cache.stats();
+    console.log(`Cache: ${dir}`);
+    for (const [name, s] of Object.entries(namespaces)) {
+      const expired = s.expired ? `, ${s.expired} expired` : '';
+      console.log(`  ${name.padEnd(7)} ${s.entries} entries, ${humanBytes(s.bytes)}${expired}`);
+    }
+    return;
+  }
+  if (action === 'clear' && (!ns || CACHE_NAMESPACES.includes(ns))) {
+    const removed = await cache.clear(ns || null);
+    console.log(`Removed ${removed} cache entries${ns ? ` (${ns})` : ''}`);
+    return;
+  }
+  console.error(`Usage: bvd cache stats | bvd cache clear [${CACHE_NAMESPACES.join('|')}]`);
+  exit(2);
+}
+
+// Prints one processInput result the way the mode asks for
+function reportResult(r, { batch, mode }) {
+  if (jsonOutput) console.log(JSON.stringify(toJson(r)));
+  else if (r.status === 'saved') console.log(`${batch ? '' : '\n'}Saved to: ${r.outPath}`);
+  else if (r.status === 'listed') printFormats(r.meta, r.formats, r.chosen);
+  else if (r.status === 'simulated' && mode === 'get-url') console.log(r.chosen.fileUrl);
+  else if (r.status === 'simulated' && !r.chosen) console.log(`Would save the post to: ${r.outPath}`);
+  else if (r.status === 'simulated') console.log(`Would save ${r.chosen.index} (${describeFormat(r.chosen)}) to: ${r.outPath}`);
+  else if (r.status === 'skipped') say(`Skipped: ${r.reason}`);
+  else console.error(`Download failed${batch ? ` (${r.input})` : ''}: ${r.error}`);
+}
+
+function printSummary(results) {
+  const count = (s) => results.filter((r) => r.status === s).length;
+  say(`\nSummary: ${count('saved')} saved, ${count('skipped')} skipped, ${count('failed')} failed`);
+  for (const r of results) {
+    if (r.status === 'failed') say(`  failed:  ${r.input} (${r.error})`);
+    else if (r.status === 'skipped') say(`  skipped: ${r.input} (${r.reason})`);
+  }
+}
+
+const SIDECAR_FLAGS = {
+  '--write-info-json': 'infoJson',
+  '--write-thumbnail': 'thumbnail',
+  '--write-description': 'description',
+  '--write-chapters': 'chapters',
+  '--write-nfo': 'nfo',
+};
+
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  exit(2);
+}
+
+// Parses the options shared by `bvd <url>...` and `bvd watch`. Arguments that
+// are not options end up in `inputs`; usage errors exit with code 2.
+function parseOptions(args) {
+  const o = {
+    inputs: [],
+    batchFiles: [],
+    output: null,
+    quality: null,
+    audioOnly: false,
+    format: null,
+    videoPassword: null,
+    retries: 3,
+    concurrency: 1,
+    connections: 1,
+    maxDownloads: null,
+    subs: false,
+    subLangs: null,
+    subFormat: 'vtt',
+    archivePath: null,
+    restrict: false,
+    collision: 'skip',
+    verify: false,
+    archivePost: false,
+    embedMetadata: false,
+    rpcNodes: null,
+    rpcTimeout: null,
+    cacheMode: 'on',
+    limitRate: null,
+    sleepRequests: null,
+    hostConcurrency: null,
+    mode: 'download',
+    sidecars: {},
+    filters: {},
+  };
 
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
-    if (!inputUrl && !a.startsWith('-')) {
-      inputUrl = a;
+    if (!a.startsWith('-')) {
+      o.inputs.push(a);
       continue;
     }
     if (a === '-o' || a === '--output') {
-      output = args[++i];
+      o.output = args[++i];
       continue;
     }
     if (a === '-q' || a === '--quality') {
-      quality = Number(args[++i]) || null;
+      o.quality = Number(args[++i]) || null;
       continue;
     }
     if (a === '--audio-only') {
-      audioOnly = true;
+      o.audioOnly = true;
+      continue;
+    }
+    if (a === '-f' || a === '--format') {
+      o.format = args[++i] || '';
+      try {
+        parseFormatSelector(o.format);
+      } catch (e) {
+        usageError(e.message);
+      }
+      continue;
+    }
+    if (a === '--video-password') {
+      o.videoPassword = args[++i];
+      if (!o.videoPassword) usageError('--video-password needs the password');
+      continue;
+    }
+    if (a === '--retries') {
+      const n = Number(args[++i]);
+      o.retries = Number.isInteger(n) && n >= 0 ? n : o.retries;
+      continue;
+    }
+    if (a === '--connections') {
+      const n = Number(args[++i]);
+      o.connections = Number.isInteger(n) && n > 0 ? n : o.connections;
+      continue;
+    }
+    if (a === '-F' || a === '--list-formats') {
+      o.mode = 'list-formats';
+      continue;
+    }
+    if (a === '-g' || a === '--get-url') {
+      o.mode = 'get-url';
+      continue;
+    }
+    if (a === '-s' || a === '--simulate') {
+      o.mode = 'simulate';
+      continue;
+    }
+    if (a === '-j' || a === '--json') {
+      jsonOutput = true;
+      say = console.error;
+      continue;
+    }
+    if (a === '--no-cache' || a === '--refresh') {
+      // --no-cache wins when both are given
+      if (a === '--no-cache' || o.cacheMode === 'on') o.cacheMode = a === '--no-cache' ? 'off' : 'refresh';
+      continue;
+    }
+    if (a === '--rpc-nodes') {
+      o.rpcNodes = args[++i] || '';
+      continue;
+    }
+    if (a === '--rpc-timeout') {
+      o.rpcTimeout = parseTimeout(args[++i]);
+      continue;
+    }
+    if (a === '-a' || a === '--batch-file') {
+      o.batchFiles.push(args[++i]);
+      continue;
+    }
+    if (a === '--limit-rate') {
+      o.limitRate = parseRate(args[++i]);
+      if (!(o.limitRate > 0)) usageError('--limit-rate needs a rate such as 500K or 2M');
       continue;
     }
-    if (a === '-h' || a === '--help') {
-      printHelp();
+    if (a === '--sleep-requests') {
+      o.sleepRequests = Number(args[++i]);
+      if (!(o.sleepRequests >= 0)) usageError('--sleep-requests needs a number of seconds');
+      continue;
+    }
+    if (a === '--host-concurrency') {
+      o.hostConcurrency = Number(args[++i]);
+      if (!Number.isInteger(o.hostConcurrency) || o.hostConcurrency < 1) usageError('--host-concurrency needs a positive integer');
+      continue;
+    }
+    if (a === '--concurrency') {
+      const n = Number(args[++i]);
+      o.concurrency = Number.isInteger(n) && n > 0 ? n : o.concurrency;
+      continue;
+    }
+    if (SIDECAR_FLAGS[a]) {
+      o.sidecars[SIDECAR_FLAGS[a]] = true;
+      continue;
+    }
+    if (a === '--write-metadata') {
+      for (const key of Object.values(SIDECAR_FLAGS)) o.sidecars[key] = true;
+      continue;
+    }
+    if (a === '--verify') {
+      o.verify = true;
+      continue;
+    }
+    if (a === '--embed-metadata') {
+      o.embedMetadata = true;
+      continue;
+    }
+    if (a === '--archive-post') {
+      o.archivePost = true;
+      continue;
+    }
+    if (a === '--restrict-filenames') {
+      o.restrict = true;
+      continue;
+    }
+    if (a === '--collision') {
+      o.collision = args[++i];
+      if (!['skip', 'overwrite', 'number'].includes(o.collision)) usageError('--collision must be skip, overwrite or number');
+      continue;
+    }
+    if (a === '--download-archive') {
+      o.archivePath = args[++i];
+      if (!o.archivePath) usageError('--download-archive needs a file name');
+      continue;
+    }
+    if (a === '--write-subs') {
+      o.subs = true;
+      continue;
+    }
+    if (a === '--sub-langs') {
+      const v = args[++i] || '';
+      o.subLangs = v === 'all' ? null : v.split(',').map((l) => l.trim()).filter(Boolean);
+      continue;
+    }
+    if (a === '--sub-format') {
+      o.subFormat = (args[++i] || '').toLowerCase();
+      if (o.subFormat !== 'vtt' && o.subFormat !== 'srt') usageError('--sub-format must be vtt or srt');
+      continue;
+    }
+    if (a === '--playlist-start' || a === '--playlist-end' || a === '--max-downloads') {
+      const n = Number(args[++i]);
+      if (!Number.isInteger(n) || n < 1) usageError(`${a} needs a positive integer`);
+      if (a === '--playlist-start') o.filters.start = n;
+      else if (a === '--playlist-end') o.filters.end = n;
+      else o.maxDownloads = n;
+      continue;
+    }
+    if (a === '--date' || a === '--datebefore' || a === '--dateafter') {
+      const v = args[++i];
+      if (!/^\d{4}-?\d{2}-?\d{2}$/.test(v || '')) usageError(`${a} needs a date as YYYYMMDD`);
+      if (a === '--date') o.filters.date = v;
+      else if (a === '--datebefore') o.filters.dateBefore = v;
+      else o.filters.dateAfter = v;
+      continue;
+    }
+  }
+  return o;
+}
+
+// Process-wide settings: RPC nodes, bandwidth and pacing, cache mode
+function applyGlobalOptions(o) {
+  configureRpc(o.rpcNodes, o.rpcTimeout);
+  if (o.limitRate) setRateLimit(o.limitRate);
+  if (o.sleepRequests != null || o.hostConcurrency != null) {
+    const pacer = getHostPacer();
+    setHostPacing({
+      delay: o.sleepRequests != null ? o.sleepRequests * 1000 : pacer.delay,
+      concurrency: o.hostConcurrency || pacer.concurrency,
+    });
+  }
+  if (o.cacheMode !== 'on') setDefaultCache(createCache({ mode: o.cacheMode }));
+}
+
+async function openArchiveOrExit(path) {
+  try {
+    return await openArchive(resolve(process.cwd(), path));
+  } catch (e) {
+    return usageError(`cannot read download archive ${path}: ${e.message}`);
+  }
+}
+
+// processInput's options for parsed options `o`. `output` is a file name, an
+// output template or, for a batch, a directory.
+function downloadOptions(o, { output = o.output, batch, archive }) {
+  const template = isOutputTemplate(output) ? output : null;
+  return {
+    output,
+    outputDir: batch && output && !template ? resolve(process.cwd(), output) : null,
+    template,
+    restrict: o.restrict,
+    collision: o.collision,
+    verify: o.verify,
+    quality: o.quality,
+    audioOnly: o.audioOnly,
+    format: o.format,
+    videoPassword: o.videoPassword,
+    retries: o.retries,
+    connections: o.connections,
+    filters: o.filters,
+    subs: o.subs ? { langs: o.subLangs, format: o.subFormat } : null,
+    sidecars: Object.keys(o.sidecars).length ? o.sidecars : null,
+    archivePost: o.archivePost,
+    embed: o.embedMetadata,
+    archive,
+    inFlight: new Set(),
+    mode: o.mode,
+    // Interleaved \r progress lines from parallel downloads are unreadable,
+    // progress would break the JSON lines on stdout, and a log file or pipe
+    // gets no progress at all
+    progress: o.concurrency === 1 && !jsonOutput && !!process.stdout.isTTY,
+  };
+}
+
+// Asks questions on the terminal (or reads the answers from piped stdin, one
+// per line). Hidden answers are not echoed.
+function createPrompter() {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, _enc, done) {
+      if (!muted) process.stderr.write(chunk);
+      done();
+    },
+  });
+  const rl = createInterface({ input: stdin, output, terminal: !!stdin.isTTY });
+  // Piped answers may all arrive before the questions are asked
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', (line) => (waiting.length ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    while (waiting.length) waiting.shift()('');
+  });
+  return {
+    async ask(question, { hidden = false } = {}) {
+      process.stderr.write(question);
+      muted = hidden;
+      const answer = lines.length ? lines.shift() : closed ? '' : await new Promise((res) => waiting.push(res));
+      muted = false;
+      if (hidden && stdin.isTTY) process.stderr.write('\n');
+      return answer.trim();
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+// bvd login <instance> | bvd login --list
+async function loginCommand(args) {
+  let host = null;
+  let username = null;
+  let password = null;
+  let otp = null;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--list') {
+      const store = getDefaultTokenStore();
+      const hosts = await store.hosts();
+      if (!hosts.length) console.log(`No logins stored in ${store.file}`);
+      for (const h of hosts) {
+        const entry = await store.get(h);
+        console.log(`${h}  ${entry.username || '?'}`);
+      }
       return;
     }
+    if (a === '-u' || a === '--username') username = args[++i];
+    else if (a === '-p' || a === '--password') password = args[++i];
+    else if (a === '--otp') otp = args[++i];
+    else if (!a.startsWith('-')) host = a;
+  }
+  if (!host) usageError('Usage: bvd login <instance> [--username <name>] [--password <password>] [--otp <code>]');
+
+  const prompter = createPrompter();
+  try {
+    if (!username) username = await prompter.ask(`User name on ${host}: `);
+    if (!password) password = await prompter.ask('Password: ', { hidden: true });
+    if (!username || !password) usageError('a user name and a password are needed');
+    let login;
+    try {
+      login = await peertubeLogin(host, { username, password, otp });
+    } catch (e) {
+      if (!e.otpRequired || otp) throw e;
+      otp = await prompter.ask('Two-factor code: ');
+      login = await peertubeLogin(host, { username, password, otp });
+    }
+    console.log(`Logged in to ${login.host} as ${login.username}; tokens stored in ${getDefaultTokenStore().file}`);
+  } catch (e) {
+    console.error(`Login failed: ${e && e.message ? e.message : e}`);
+    exit(1);
+  } finally {
+    prompter.close();
   }
+}
+
+async function logoutCommand(args) {
+  const host = args.find((a) => !a.startsWith('-'));
+  if (!host) usageError('Usage: bvd logout <instance>');
+  if (await peertubeLogout(host)) console.log(`Logged out of ${host}`);
+  else console.log(`No login stored for ${host}`);
+}
+
+// bvd watch <subscriptions.json>: checks every subscription on its interval
+// and downloads what is new. Runs until stopped (or once with --once).
+async function watchCommand(args) {
+  const once = args.includes('--once');
+  const o = parseOptions(args.filter((a) => a !== '--once'));
+  if (o.inputs.length !== 1) usageError('bvd watch needs exactly one subscriptions file');
+  if (o.batchFiles.length) usageError('--batch-file does not work with bvd watch');
+  if (o.mode !== 'download' && o.mode !== 'simulate') usageError('bvd watch only downloads or simulates');
+  applyGlobalOptions(o);
+
+  const file = resolve(process.cwd(), o.inputs[0]);
+  const log = (msg) => say(`${new Date().toISOString()} ${msg}`);
+  const warn = (msg) => console.error(`${new Date().toISOString()} ${msg}`);
+
+  let doc;
+  let mtime = 0;
+  // Picks up edits (e.g. from the web server) between two rounds; a broken
+  // edit keeps the previous list
+  const reload = async () => {
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      if (mtimeMs === mtime) return;
+      doc = await loadSubscriptions(file);
+      if (mtime) log(`Reloaded ${file}: ${doc.subscriptions.length} subscriptions`);
+      mtime = mtimeMs;
+    } catch (e) {
+      if (!doc) usageError(`cannot read subscriptions file ${o.inputs[0]}: ${e.message}`);
+      warn(`Keeping the previous subscriptions, ${file} cannot be read: ${e.message}`);
+    }
+  };
+  await reload();
 
-  if (!inputUrl) {
+  const paths = watchPaths(file, doc);
+  // --download-archive wins over the file's archive; both survive reloads
+  const archive = await openArchiveOrExit(o.archivePath || paths.archive);
+  const state = await loadWatchState(paths.state);
+  const intervalOf = (sub) => (sub.interval || doc.interval || DEFAULT_WATCH_INTERVAL) * 1000;
+  const isDue = (sub, now) => {
+    const last = state[sub.url] && Date.parse(state[sub.url].lastCheck);
+    return sub.enabled !== false && (!last || last + intervalOf(sub) <= now);
+  };
+
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    if (stopping) exit(130);
+    stopping = true;
+    log('Stopping after the current download (press Ctrl+C again to stop now)');
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  const checkSubscription = async (sub) => {
+    const s = state[sub.url] || (state[sub.url] = { saved: 0 });
+    const started = Date.now();
+    const label = sub.name || sub.url;
+    const pick = (key) => sub[key] ?? doc[key];
+    const output = pick('output');
+    const subOptions = {
+      ...o,
+      quality: pick('quality') ?? o.quality,
+      format: pick('format') ?? o.format,
+      audioOnly: pick('audioOnly') ?? o.audioOnly,
+    };
+    const opts = downloadOptions(subOptions, {
+      output: output ? resolve(dirname(file), output) : o.output,
+      batch: true,
+      archive,
+    });
+    let saved = 0;
+    let failed = 0;
+    try {
+      const max = pick('max') || o.maxDownloads || DEFAULT_WATCH_MAX;
+      const items = await expandInput(sub.url, {
+        ...o.filters,
+        dateAfter: sub.since || o.filters.dateAfter,
+        max,
+        allPosts: o.archivePost,
+      });
+      for (const item of items) {
+        if (stopping) break;
+        const r = await processInput(item, opts);
+        if (jsonOutput) console.log(JSON.stringify({ ...toJson(r), subscription: sub.url }));
+        if (r.status === 'saved') {
+          saved++;
+          if (!jsonOutput) log(`${label}: saved ${r.outPath}`);
+        } else if (r.status === 'simulated') {
+          if (!jsonOutput) log(`${label}: would save ${r.outPath}`);
+        } else if (r.status === 'failed') {
+          failed++;
+          if (!jsonOutput) warn(`${label}: ${r.input} failed: ${r.error}`);
+        }
+      }
+      s.lastError = failed ? `${failed} of the new videos failed` : null;
+    } catch (e) {
+      failed++;
+      s.lastError = e && e.message ? e.message : String(e);
+      warn(`${label}: check failed: ${s.lastError}`);
+    }
+    s.lastCheck = new Date(started).toISOString();
+    s.nextCheck = new Date(started + intervalOf(sub)).toISOString();
+    s.lastSaved = saved;
+    s.saved = (s.saved || 0) + saved;
+    try {
+      await saveWatchState(paths.state, state);
+    } catch (e) {
+      warn(`Cannot write ${paths.state}: ${e.message}`);
+    }
+    return failed === 0;
+  };
+
+  log(`Watching ${doc.subscriptions.length} subscriptions from ${file}`);
+  for (;;) {
+    await reload();
+    const due = doc.subscriptions.filter((sub) => isDue(sub, Date.now()));
+    let failed = 0;
+    for (const sub of due) {
+      if (stopping) break;
+      log(`Checking ${sub.name || sub.url}`);
+      if (!(await checkSubscription(sub))) failed++;
+    }
+    if (once || stopping) {
+      if (failed && failed === due.length) exit(1);
+      if (failed) exit(3);
+      return;
+    }
+    // Sleep until the next check is due, waking up now and then to notice
+    // edits of the file
+    const next = Math.min(...doc.subscriptions
+      .filter((sub) => sub.enabled !== false)
+      .map((sub) => Date.parse(state[sub.url] && state[sub.url].lastCheck) + intervalOf(sub)));
+    const wait = Math.max(1000, Math.min(Number.isFinite(next) ? next - Date.now() : Infinity, WATCH_RELOAD_MS));
+    await new Promise((res) => {
+      const timer = setTimeout(res, wait);
+      wake = () => {
+        clearTimeout(timer);
+        res();
+      };
+    });
+    wake = null;
+    if (stopping) return;
+  }
+}
+
+async function main() {
+  const args = argv.slice(2);
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printHelp();
+    return;
+  }
+  if (args[0] === 'verify') return verifyCommand(args.slice(1));
+  if (args[0] === 'nodes') return nodesCommand(args.slice(1));
+  if (args[0] === 'cache') return cacheCommand(args.slice(1));
+  if (args[0] === 'watch') return watchCommand(args.slice(1));
+  if (args[0] === 'login') return loginCommand(args.slice(1));
+  if (args[0] === 'logout') return logoutCommand(args.slice(1));
+
+  const o = parseOptions(args);
+  const { inputs, concurrency, maxDownloads, mode } = o;
+  applyGlobalOptions(o);
+
+  for (const file of o.batchFiles) {
+    if (!file) usageError('--batch-file needs a file name or -');
+    try {
+      inputs.push(...(await readBatchFile(file)));
+    } catch (e) {
+      usageError(`cannot read batch file ${file}: ${e.message}`);
+    }
+  }
+
+  if (!inputs.length) {
     console.error('Error: missing input URL');
     printHelp();
     exit(2);
   }
 
-  try {
-    const { host, id } = await resolveInput(inputUrl);
-    if (!host || !id) {
-      throw new Error('Unable to resolve input. Expect Bastyon post URL, peertube://host/uuid or PeerTube URL');
+  const archive = o.archivePath ? await openArchiveOrExit(o.archivePath) : null;
+
+  const results = [];
+  const items = [];
+  const expanded = await runPool(inputs, concurrency, async (input) => {
+    try {
+      return await expandInput(input, { ...o.filters, max: maxDownloads, allPosts: o.archivePost });
+    } catch (e) {
+      const r = { input, status: 'failed', error: e && e.message ? e.message : String(e), errorCode: errorCode(e) };
+      results.push(r);
+      if (jsonOutput) console.log(JSON.stringify(toJson(r)));
+      else console.error(`Download failed${inputs.length > 1 ? ` (${input})` : ''}: ${r.error}`);
+      return [];
     }
+  });
+  for (const list of expanded) items.push(...list);
+
+  const batch = inputs.length > 1 || items.length > 1;
+  const opts = downloadOptions(o, { batch, archive });
 
-    const meta = await fetchVideoMeta(host, id);
-    const chosen = selectFile(meta, { quality, audioOnly });
-    if (!chosen) {
-      throw new Error('No suitable downloadable file found. Try without --audio-only or different quality');
+  // --max-downloads counts videos actually saved across all inputs. Each
+  // download reserves a slot first so parallel workers cannot overshoot the
+  // cap; while every slot is held by a download that may still fail or be
+  // skipped, a worker waits for one to be released.
+  let saved = 0;
+  let pending = 0;
+  const waiters = [];
+  const reserve = async () => {
+    while (saved + pending >= maxDownloads) {
+      if (saved >= maxDownloads) return false;
+      await new Promise((res) => waiters.push(res));
     }
+    pending++;
+    return true;
+  };
+  const release = (r) => {
+    pending--;
+    if (r && r.status === 'saved') saved++;
+    for (const wake of waiters.splice(0)) wake();
+  };
 
-    const outPath = resolve(process.cwd(), output || deriveOutputName(meta, chosen));
-    await downloadFile(chosen.fileUrl, outPath);
+  const downloads = await runPool(items, concurrency, async (item, i) => {
+    if (maxDownloads && !(await reserve())) return null;
+    let r = null;
+    try {
+      // A URL per line is the whole output of --get-url
+      if (batch && mode !== 'get-url') say(`[${i + 1}/${items.length}] ${item.input}`);
+      r = await processInput(item, opts);
+    } finally {
+      if (maxDownloads) release(r);
+    }
+    reportResult(r, { batch, mode });
+    return r;
+  });
+  results.push(...downloads.filter(Boolean));
 
-    console.log(`\nSaved to: ${outPath}`);
-  } catch (e) {
-    console.error('Download failed:', e && e.message ? e.message : e);
-    exit(1);
-  }
+  if (batch && mode === 'download') printSummary(results);
+
+  const failed = results.filter((r) => r.status === 'failed').length;
+  if (failed && failed === results.length) exit(1);
+  if (failed) exit(3);
 }
 
 main().catch((e) => {
-  console.error('Unexpected error:', e);
+  if (jsonOutput) console.log(JSON.stringify({ status: 'failed', error: serializeError(e) }));
+  else console.error('Unexpected error:', e);
   exit(1);
 });
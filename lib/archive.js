@@ -0,0 +1,51 @@
+import { promises as fs } from 'node:fs';
+
+// Download archive: a text file with one key per line, e.g.
+//   peertube videos.example 9c9de5e8-0a1e-484a-b099-e80766180a6d
+//   bastyon 5f3a...e1
+// The PeerTube key uses the video's origin instance, so the same video reached
+// through a federated mirror or another URL form maps to the same line.
+
+function bareHost(h) {
+  return String(h || '').replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+// The key of a PeerTube video on its origin instance
+export function peertubeKey(origin, uuid) {
+  return `peertube ${bareHost(origin)} ${String(uuid).toLowerCase()}`;
+}
+
+// Keys identifying a video: `source` is { host, txid } as returned by resolveInput
+export function archiveKeys(meta, source = {}) {
+  const keys = [];
+  const origin = (meta.channel && meta.channel.host) || (meta.account && meta.account.host) || source.host;
+  if (meta.uuid && origin) keys.push(peertubeKey(origin, meta.uuid));
+  if (source.txid) keys.push(`bastyon ${source.txid}`);
+  return keys;
+}
+
+export async function openArchive(path) {
+  let text = '';
+  try {
+    text = await fs.readFile(path, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const keys = new Set(text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean));
+
+  return {
+    path,
+    has(k) {
+      return (Array.isArray(k) ? k : [k]).some((x) => keys.has(x));
+    },
+    async add(k) {
+      const fresh = (Array.isArray(k) ? k : [k]).filter((x) => x && !keys.has(x));
+      if (!fresh.length) return;
+      for (const x of fresh) keys.add(x);
+      await fs.appendFile(path, fresh.map((x) => x + '\n').join(''));
+    },
+    get size() {
+      return keys.size;
+    },
+  };
+}
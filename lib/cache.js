@@ -0,0 +1,106 @@
+import { promises as fs } from 'node:fs';
+import { createHash, randomBytes } from 'node:crypto';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+// Persistent cache shared by the CLI and the web server. Each entry is one
+// JSON file <dir>/<namespace>/<sha1 of key>.json holding { key, storedAt, value },
+// written through a temporary file and a rename, so parallel processes never
+// read half an entry.
+//
+// Namespaces:
+//   posts   Bastyon post -> PeerTube video; posts are on chain and never change
+//   videos  PeerTube video metadata; kept for `videoTtl` seconds
+
+export const CACHE_NAMESPACES = ['posts', 'videos'];
+const DEFAULT_VIDEO_TTL = 3600;
+
+// BVD_CACHE_DIR, else $XDG_CACHE_HOME/bvd, else ~/.cache/bvd
+export function defaultCacheDir() {
+  if (process.env.BVD_CACHE_DIR) return process.env.BVD_CACHE_DIR;
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'bvd');
+}
+
+const fileName = (key) => `${createHash('sha1').update(key).digest('hex')}.json`;
+
+// `opts`: dir, videoTtl in seconds, mode: 'on' | 'refresh' (skip reads, still
+// write) | 'off' (neither read nor write)
+export function createCache(opts = {}) {
+  const { dir = defaultCacheDir(), videoTtl = Number(process.env.BVD_CACHE_TTL) || DEFAULT_VIDEO_TTL, mode = 'on' } = opts;
+  const ttl = { posts: Infinity, videos: videoTtl };
+
+  return {
+    dir,
+    mode,
+
+    // Resolves with the cached value or undefined when missing or expired
+    async get(ns, key) {
+      if (mode !== 'on') return undefined;
+      try {
+        const entry = JSON.parse(await fs.readFile(join(dir, ns, fileName(key)), 'utf8'));
+        if (entry.key !== key) return undefined;
+        if (Date.now() - entry.storedAt > (ttl[ns] ?? 0) * 1000) return undefined;
+        return entry.value;
+      } catch {
+        return undefined;
+      }
+    },
+
+    // A cache that cannot be written (read-only home, full disk) must not
+    // fail the download, so errors are swallowed
+    async set(ns, key, value) {
+      if (mode === 'off') return;
+      const target = join(dir, ns, fileName(key));
+      const tmp = `${target}.${randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fs.mkdir(join(dir, ns), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify({ key, storedAt: Date.now(), value }));
+        await fs.rename(tmp, target);
+      } catch {
+        await fs.rm(tmp).catch(() => {});
+      }
+    },
+
+    // Removes every entry of `ns`, or of all namespaces; resolves with the count
+    async clear(ns = null) {
+      let removed = 0;
+      for (const n of ns ? [ns] : CACHE_NAMESPACES) {
+        const names = await fs.readdir(join(dir, n)).catch(() => []);
+        for (const name of names) {
+          await fs.rm(join(dir, n, name)).catch(() => {});
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    // { dir, namespaces: { posts: { entries, bytes, expired }, videos: ... } }
+    async stats() {
+      const namespaces = {};
+      for (const n of CACHE_NAMESPACES) {
+        const s = { entries: 0, bytes: 0, expired: 0 };
+        const names = (await fs.readdir(join(dir, n)).catch(() => [])).filter((x) => x.endsWith('.json'));
+        for (const name of names) {
+          const st = await fs.stat(join(dir, n, name)).catch(() => null);
+          if (!st) continue;
+          s.entries++;
+          s.bytes += st.size;
+          if (Date.now() - st.mtimeMs > ttl[n] * 1000) s.expired++;
+        }
+        namespaces[n] = s;
+      }
+      return { dir, namespaces };
+    },
+  };
+}
+
+let defaultCache = null;
+
+export function getDefaultCache() {
+  if (!defaultCache) defaultCache = createCache();
+  return defaultCache;
+}
+
+export function setDefaultCache(cache) {
+  defaultCache = cache;
+}
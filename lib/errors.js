@@ -0,0 +1,53 @@
+import { isRetryable } from './net.js';
+
+// Stable error codes for scripts (the CLI's --json output, library callers).
+// Errors keep their human message; `code` says what went wrong in a way that
+// does not change between releases.
+export const ERROR_CODES = {
+  BAD_INPUT: 'The input is not a Bastyon or PeerTube URL this tool understands',
+  POST_NOT_FOUND: 'The Bastyon post does not exist',
+  POST_NO_VIDEO: 'The Bastyon post does not link a PeerTube video',
+  AUTHOR_NOT_FOUND: 'The Bastyon profile does not exist',
+  RPC_ERROR: 'A Bastyon RPC node rejected the request',
+  RPC_UNAVAILABLE: 'No Bastyon RPC node could be reached',
+  VIDEO_NOT_FOUND: 'The PeerTube instance does not know the video',
+  VIDEO_PRIVATE: 'The video is private or internal and needs a login that may see it',
+  VIDEO_PASSWORD: 'The video is password-protected and the password is missing or wrong',
+  LOGIN_FAILED: 'The PeerTube instance refused the login',
+  LOGIN_EXPIRED: 'The stored PeerTube login can no longer be refreshed',
+  PEERTUBE_API_ERROR: 'The PeerTube API answered with an error',
+  NO_FORMAT: 'No file matches the requested quality or format',
+  BAD_FORMAT: 'The format selector cannot be read',
+  UNSUPPORTED_STREAM: 'The stream uses a format that cannot be downloaded',
+  UNSUPPORTED_CONTAINER: 'The file is not an MP4/M4A bvd can edit, or its sound is not AAC or Opus',
+  DOWNLOAD_FAILED: 'The file server answered with an error',
+  REMOTE_CHANGED: 'The remote file changed during the download',
+  VERIFY_FAILED: 'The saved file does not match the torrent piece hashes',
+  NETWORK_ERROR: 'A connection failed or timed out',
+  FILESYSTEM_ERROR: 'A local file could not be read or written',
+  ABORTED: 'The download was canceled',
+  BAD_SUBSCRIPTIONS: 'The subscriptions file of bvd watch is invalid',
+  ADDRESS_REFUSED: 'The web server does not contact private, loopback or link-local addresses',
+  INTERNAL_ERROR: 'Anything else',
+};
+
+export function codedError(code, message, fields = {}) {
+  return Object.assign(new Error(message), { code, ...fields });
+}
+
+// The stable code for any error: its own code when it has one of ours, else a
+// guess from what kind of error it is
+export function errorCode(e) {
+  if (e && typeof e.code === 'string' && Object.hasOwn(ERROR_CODES, e.code)) return e.code;
+  if (e && e.name === 'AbortError') return 'ABORTED';
+  if (isRetryable(e)) return 'NETWORK_ERROR';
+  // DNS and connect failures carry a syscall too, like file errors
+  if (e && (e.syscall === 'getaddrinfo' || e.syscall === 'connect')) return 'NETWORK_ERROR';
+  if (e && e.syscall && typeof e.code === 'string') return 'FILESYSTEM_ERROR';
+  return 'INTERNAL_ERROR';
+}
+
+// { code, message } for JSON output
+export function serializeError(e) {
+  return { code: errorCode(e), message: e && e.message ? e.message : String(e) };
+}
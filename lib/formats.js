@@ -0,0 +1,149 @@
+import { extname } from 'node:path';
+import { codedError } from './errors.js';
+
+// Format selectors pick one of buildCandidates' files, like
+//   best[height<=720][fps<=30][ext=mp4]/worst[size<200M]/bestaudio
+// Alternatives are separated by '/' and tried left to right; the first one
+// that matches a file wins. Each alternative is a base followed by filters:
+//   best, b          the best video file (highest height, then fps, then size)
+//   worst, w         the worst video file
+//   bestaudio, ba    the best audio-only file
+//   worstaudio, wa   the worst audio-only file
+//   <n>              the file at index n of --list-formats
+// A missing base means best. Filters are [field op value]:
+//   height, fps, size   <, <=, >, >=, =, !=; size takes K, M, G suffixes (1024-based)
+//   ext, mime, source, kind   =, != and ^= (starts with), $= (ends with), *= (contains)
+// A file without a value for a numeric field fails the filter unless the
+// operator is followed by '?', as in [height<=?720].
+
+const NUMERIC = new Set(['height', 'fps', 'size']);
+const TEXT = new Set(['ext', 'mime', 'source', 'kind']);
+const BASES = {
+  best: { kind: 'video', order: 'best' },
+  b: { kind: 'video', order: 'best' },
+  worst: { kind: 'video', order: 'worst' },
+  w: { kind: 'video', order: 'worst' },
+  bestaudio: { kind: 'audio', order: 'best' },
+  ba: { kind: 'audio', order: 'best' },
+  worstaudio: { kind: 'audio', order: 'worst' },
+  wa: { kind: 'audio', order: 'worst' },
+};
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+function badSelector(selector, why) {
+  return codedError('BAD_FORMAT', `Invalid format selector "${selector}": ${why}`);
+}
+
+// Extension of the file a candidate is saved as, without the dot. HLS
+// playlists are assembled into MP4 (M4A for audio); extracted audio is M4A.
+export function candidateExt(c) {
+  if (c.extractAudio) return 'm4a';
+  const fallback = c.kind === 'audio' ? 'm4a' : 'mp4';
+  if (c.source === 'hls') return fallback;
+  try {
+    return extname(new URL(c.fileUrl).pathname).toLowerCase().slice(1) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function parseNumber(field, text) {
+  if (field === 'size') {
+    const m = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(text);
+    return m ? Number(m[1]) * SIZE_UNITS[m[2].toLowerCase()] : NaN;
+  }
+  // 720p reads as 720
+  return /^\d+(?:\.\d+)?p?$/i.test(text) ? parseFloat(text) : NaN;
+}
+
+function parseFilter(selector, text) {
+  const m = /^\s*([a-z]+)\s*(<=|>=|!=|\^=|\$=|\*=|<|>|=)(\?)?\s*(.*?)\s*$/i.exec(text);
+  if (!m) throw badSelector(selector, `cannot read filter [${text}]`);
+  const [, rawField, op, optional, rawValue] = m;
+  const field = rawField.toLowerCase();
+  if (NUMERIC.has(field)) {
+    if (/^[\^$*]=$/.test(op)) throw badSelector(selector, `${op} does not work with ${field}`);
+    const value = parseNumber(field, rawValue);
+    if (Number.isNaN(value)) throw badSelector(selector, `${field} needs a number, got "${rawValue}"`);
+    return { field, op, value, optional: !!optional };
+  }
+  if (TEXT.has(field)) {
+    if (/^[<>]/.test(op)) throw badSelector(selector, `${op} does not work with ${field}`);
+    if (!rawValue) throw badSelector(selector, `[${text}] has no value`);
+    return { field, op, value: rawValue.toLowerCase().replace(/^\./, ''), optional: !!optional };
+  }
+  throw badSelector(selector, `unknown field "${rawField}"`);
+}
+
+// Parses a selector into its alternatives, [{ base, index, filters }].
+// Throws a BAD_FORMAT error for selectors it cannot read.
+export function parseFormatSelector(selector) {
+  const text = String(selector || '').trim();
+  if (!text) throw badSelector(selector, 'it is empty');
+  // '/' inside brackets belongs to a value such as [mime=video/mp4]
+  return text.split(/\/(?![^[]*\])/).map((alt) => {
+    const m = /^\s*([a-z]+|\d+)?\s*((?:\[[^\]]*\]\s*)*)$/i.exec(alt);
+    if (!m) throw badSelector(selector, `cannot read "${alt.trim()}"`);
+    const [, base = 'best', filterText] = m;
+    const filters = [...filterText.matchAll(/\[([^\]]*)\]/g)].map((f) => parseFilter(selector, f[1]));
+    if (/^\d+$/.test(base)) return { base: null, index: Number(base), filters };
+    if (!BASES[base.toLowerCase()]) throw badSelector(selector, `unknown format "${base}"`);
+    return { base: base.toLowerCase(), index: null, filters };
+  });
+}
+
+function fieldValue(c, field) {
+  switch (field) {
+    case 'height': return c.height || null;
+    case 'fps': return c.fps || null;
+    case 'size': return c.size || null;
+    case 'ext': return candidateExt(c);
+    case 'mime': return (c.mimeType || '').toLowerCase();
+    case 'source': return c.source;
+    case 'kind': return c.kind;
+    default: return null;
+  }
+}
+
+function matches(c, { field, op, value, optional }) {
+  const v = fieldValue(c, field);
+  if (v == null || v === '') return optional;
+  switch (op) {
+    case '<': return v < value;
+    case '<=': return v <= value;
+    case '>': return v > value;
+    case '>=': return v >= value;
+    case '=': return v === value;
+    case '!=': return v !== value;
+    case '^=': return v.startsWith(value);
+    case '$=': return v.endsWith(value);
+    case '*=': return v.includes(value);
+    default: return false;
+  }
+}
+
+// Higher height, then fps, then size is better. Ties keep buildCandidates'
+// order, which prefers https, MP4 and direct files.
+function compareQuality(a, b) {
+  return (a.height || 0) - (b.height || 0) || (a.fps || 0) - (b.fps || 0) || (a.size || 0) - (b.size || 0);
+}
+
+// Picks the file `selector` (a string or parseFormatSelector's result) asks
+// for from listFormats' indexed candidates; null when no alternative matches
+export function selectFormat(formats, selector) {
+  const alternatives = typeof selector === 'string' ? parseFormatSelector(selector) : selector;
+  for (const alt of alternatives) {
+    const pool = alt.index != null
+      ? formats.filter((f) => f.index === alt.index)
+      : formats.filter((f) => f.kind === BASES[alt.base].kind);
+    const left = pool.filter((f) => alt.filters.every((flt) => matches(f, flt)));
+    if (!left.length) continue;
+    if (alt.index != null) return left[0];
+    const worst = BASES[alt.base].order === 'worst';
+    return left.reduce((pick, f) => {
+      const d = compareQuality(f, pick);
+      return (worst ? d < 0 : d > 0) ? f : pick;
+    });
+  }
+  return null;
+}
@@ -0,0 +1,278 @@
+import { createWriteStream } from 'node:fs';
+import { promises as fs } from 'node:fs';
+import { httpFetch, retryBudget, withRetries } from './net.js';
+import { muxFragmented } from './mp4.js';
+import { codedError } from './errors.js';
+import { politeFetch, throttle, rateLimitInfo } from './throttle.js';
+
+// HLS support for PeerTube streaming playlists. PeerTube serves fragmented MP4
+// (an init section plus media segments, usually byte ranges of one file), so
+// writing the init section followed by every segment yields a playable MP4.
+
+// Parses an attribute list such as: BANDWIDTH=1,RESOLUTION=1280x720,CODECS="a,b"
+function parseAttributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(str))) {
+    const v = m[2];
+    attrs[m[1]] = v.startsWith('"') ? v.slice(1, -1) : v;
+  }
+  return attrs;
+}
+
+// "<length>[@<offset>]"; offset defaults to the end of the previous range
+function parseByteRange(str, prevEnd) {
+  const [len, off] = String(str).split('@');
+  const offset = off != null ? Number(off) : prevEnd;
+  return { offset, length: Number(len) };
+}
+
+const VIDEO_CODECS = /avc|hvc|hev|vp0?9|av01/i;
+
+// Variants of a master playlist. A variant whose AUDIO group has renditions
+// with their own playlist (split audio and video, as newer PeerTube versions
+// serve) gets `audioUri`, the group's default rendition; each such rendition
+// is listed too, as an audio-only variant.
+export function parseMasterPlaylist(text, baseUrl) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim());
+  const groups = new Map(); // GROUP-ID -> audio renditions with a URI
+  for (const line of lines) {
+    if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+    const attrs = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+    if (attrs.TYPE !== 'AUDIO' || !attrs.URI || !attrs['GROUP-ID']) continue;
+    if (!groups.has(attrs['GROUP-ID'])) groups.set(attrs['GROUP-ID'], []);
+    groups.get(attrs['GROUP-ID']).push({ uri: new URL(attrs.URI, baseUrl).href, isDefault: attrs.DEFAULT === 'YES' });
+  }
+
+  const variants = [];
+  const renditions = new Map(); // uri -> audio-only variant
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) continue;
+    const attrs = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    let uri = null;
+    while (++i < lines.length) {
+      if (lines[i] && !lines[i].startsWith('#')) { uri = lines[i]; break; }
+    }
+    if (!uri) break;
+    const res = /^(\d+)x(\d+)$/.exec(attrs.RESOLUTION || '');
+    const codecs = attrs.CODECS || '';
+    const audioOnly = !res && codecs !== '' && !VIDEO_CODECS.test(codecs);
+    const group = (attrs.AUDIO && groups.get(attrs.AUDIO)) || [];
+    const audio = group.find((r) => r.isDefault) || group[0] || null;
+    variants.push({
+      uri: new URL(uri, baseUrl).href,
+      bandwidth: Number(attrs.BANDWIDTH) || null,
+      height: res ? Number(res[2]) : null,
+      fps: Number(attrs['FRAME-RATE']) || null,
+      codecs,
+      audioOnly,
+      audioGroup: attrs.AUDIO || null,
+      audioUri: audio ? audio.uri : null,
+    });
+    // The variant's CODECS name the rendition's codec next to the video's
+    const audioCodecs = codecs.split(',').map((c) => c.trim()).filter((c) => c && !VIDEO_CODECS.test(c)).join(',');
+    for (const r of group) {
+      if (renditions.has(r.uri)) continue;
+      renditions.set(r.uri, { uri: r.uri, bandwidth: null, height: null, fps: null, codecs: audioCodecs, audioOnly: true, audioGroup: attrs.AUDIO, audioUri: null });
+    }
+  }
+  return [...variants, ...renditions.values()];
+}
+
+export function parseMediaPlaylist(text, baseUrl) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim());
+  if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+
+  let init = null;
+  const segments = [];
+  let pendingRange = null;
+  const lastEnd = new Map(); // uri -> end offset of the previous byte range
+
+  const withRange = (uri, rangeStr) => {
+    if (rangeStr == null) return { uri, range: null };
+    const range = parseByteRange(rangeStr, lastEnd.get(uri) || 0);
+    lastEnd.set(uri, range.offset + range.length);
+    return { uri, range };
+  };
+
+  for (const line of lines) {
+    if (!line) continue;
+    if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      if (attrs.METHOD && attrs.METHOD !== 'NONE') throw codedError('UNSUPPORTED_STREAM', `Encrypted HLS (${attrs.METHOD}) is not supported`);
+      continue;
+    }
+    if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      const map = withRange(new URL(attrs.URI, baseUrl).href, attrs.BYTERANGE);
+      if (init && (init.uri !== map.uri || JSON.stringify(init.range) !== JSON.stringify(map.range))) {
+        throw codedError('UNSUPPORTED_STREAM', 'HLS playlists with several init sections are not supported');
+      }
+      init = map;
+      continue;
+    }
+    if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pendingRange = line.slice('#EXT-X-BYTERANGE:'.length);
+      continue;
+    }
+    if (line.startsWith('#')) continue;
+    segments.push(withRange(new URL(line, baseUrl).href, pendingRange));
+    pendingRange = null;
+  }
+
+  if (!init && segments.some((s) => /\.ts$/i.test(new URL(s.uri).pathname))) {
+    throw codedError('UNSUPPORTED_STREAM', 'MPEG-TS HLS streams are not supported; only fragmented MP4');
+  }
+  return { init, segments };
+}
+
+async function fetchText(url, onWait) {
+  const r = await politeFetch(url, { headers: { Accept: 'application/vnd.apple.mpegurl, */*' } }, { onWait });
+  if (!r.ok) {
+    const t = await r.text().catch(() => '');
+    throw new Error(`HLS playlist error ${r.status}: ${t || r.statusText}`);
+  }
+  return r.text();
+}
+
+// Returns the variants of a master playlist. A media playlist given directly is
+// returned as a single variant without a known height. `opts.onWait` is
+// politeFetch's.
+export async function fetchHlsVariants(playlistUrl, opts = {}) {
+  const text = await fetchText(playlistUrl, opts.onWait);
+  if (!/#EXT-X-STREAM-INF:/.test(text)) {
+    return [{ uri: playlistUrl, bandwidth: null, height: null, fps: null, codecs: '', audioOnly: false, audioGroup: null, audioUri: null }];
+  }
+  return parseMasterPlaylist(text, playlistUrl);
+}
+
+function writeChunk(ws, chunk) {
+  return new Promise((res, rej) => ws.write(chunk, (err) => (err ? rej(err) : res())));
+}
+
+async function fetchPart(part, ws, signal) {
+  const headers = { Accept: '*/*' };
+  if (part.range) headers.Range = `bytes=${part.range.offset}-${part.range.offset + part.range.length - 1}`;
+  const r = await httpFetch(part.uri, { headers, signal });
+  if (!r.ok || !r.body) {
+    const t = await r.text().catch(() => '');
+    const err = new Error(`HLS segment error ${r.status}: ${t || r.statusText}`);
+    err.code = 'DOWNLOAD_FAILED';
+    err.retryable = r.status >= 500 || r.status === 408;
+    Object.assign(err, rateLimitInfo(r));
+    throw err;
+  }
+  if (part.range && r.status !== 206) {
+    await r.body.cancel().catch(() => {});
+    throw new Error('Server ignored the HLS byte-range request');
+  }
+  let written = 0;
+  for await (const chunk of r.body) {
+    await throttle(chunk.length);
+    await writeChunk(ws, chunk);
+    written += chunk.length;
+  }
+  if (part.range && written !== part.range.length) {
+    const err = new Error(`HLS segment truncated at ${written}/${part.range.length} bytes`);
+    err.retryable = true;
+    throw err;
+  }
+  return written;
+}
+
+async function loadPlaylist(playlistUrl, onWait) {
+  const { init, segments } = parseMediaPlaylist(await fetchText(playlistUrl, onWait), playlistUrl);
+  if (!segments.length) throw new Error('HLS playlist has no segments');
+  const parts = init ? [init, ...segments] : segments;
+  const total = parts.every((p) => p.range) ? parts.reduce((n, p) => n + p.range.length, 0) : null;
+  return { url: playlistUrl, parts, total };
+}
+
+// Writes a loaded playlist's parts to outPath, resuming from <outPath>.part.json
+async function downloadParts(playlist, outPath, opts) {
+  const { retries, signal, onProgress, onRetry } = opts;
+  const { url: playlistUrl, parts } = playlist;
+  const tmp = `${outPath}.part`;
+  const stateFile = `${tmp}.json`;
+
+  const attempt = async () => {
+    let state = null;
+    try {
+      state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+    } catch {}
+    const st = await fs.stat(tmp).catch(() => null);
+    if (!state || state.url !== playlistUrl || !st || st.size < state.size) {
+      state = { url: playlistUrl, done: 0, size: 0 };
+    }
+    // Drop a partially written segment from a previous attempt
+    if (st) await fs.truncate(tmp, state.size);
+
+    const ws = createWriteStream(tmp, { flags: state.size ? 'a' : 'w' });
+    const report = () => {
+      if (onProgress) onProgress(state.size, state.done);
+    };
+    try {
+      for (let i = state.done; i < parts.length; i++) {
+        state.size += await fetchPart(parts[i], ws, signal);
+        state.done = i + 1;
+        await fs.writeFile(stateFile, JSON.stringify(state));
+        report();
+      }
+    } finally {
+      await new Promise((res) => ws.end(() => res()));
+    }
+  };
+
+  await withRetries(attempt, retries, { onRetry });
+
+  await fs.rename(tmp, outPath);
+  await fs.rm(stateFile).catch(() => {});
+}
+
+// Downloads an HLS media playlist into one fragmented MP4 at outPath. Progress
+// is kept in `<outPath>.part.json` after every segment so an interrupted run
+// continues with the next segment instead of starting over. `onProgress`,
+// `onRetry` and `signal` work as for downloadFile, `onWait` as for
+// politeFetch (the playlist requests); the total is null unless
+// every segment is a byte range, and a third argument { done, total } counts
+// segments.
+// With `audioUrl` (a variant's audioUri) the video and the audio playlist are
+// downloaded to <outPath>.hls-video and <outPath>.hls-audio, each resumable
+// on its own, and muxed into outPath.
+export async function downloadHls(playlistUrl, outPath, opts = {}) {
+  const { retries = 3, signal = null, onProgress = null, onRetry = null, onWait = null, audioUrl = null } = opts;
+  const tracks = [{ playlist: await loadPlaylist(playlistUrl, onWait), path: audioUrl ? `${outPath}.hls-video` : outPath }];
+  if (audioUrl) tracks.push({ playlist: await loadPlaylist(audioUrl, onWait), path: `${outPath}.hls-audio` });
+  const total = tracks.every((t) => t.playlist.total != null) ? tracks.reduce((n, t) => n + t.playlist.total, 0) : null;
+  const partCount = tracks.reduce((n, t) => n + t.playlist.parts.length, 0);
+
+  // One retry budget and one progress count over both playlists
+  const budget = retryBudget(retries);
+  let bytesBefore = 0;
+  let partsBefore = 0;
+  for (const t of tracks) {
+    const done = await fs.stat(t.path).then((st) => st.isFile() && t.path !== outPath && st.size, () => false);
+    if (!done) {
+      await downloadParts(t.playlist, t.path, {
+        retries: budget,
+        signal,
+        onRetry,
+        onProgress: onProgress && ((size, n) => onProgress(bytesBefore + size, total, { done: partsBefore + n, total: partCount })),
+      });
+    }
+    bytesBefore += (await fs.stat(t.path)).size;
+    partsBefore += t.playlist.parts.length;
+  }
+  if (!audioUrl) return;
+
+  try {
+    await muxFragmented(tracks[0].path, tracks[1].path, outPath);
+  } catch (e) {
+    // Tracks that cannot be muxed would fail the same way on the next run
+    if (['NO_FORMAT', 'UNSUPPORTED_CONTAINER', 'UNSUPPORTED_STREAM'].includes(e.code)) for (const t of tracks) await fs.rm(t.path).catch(() => {});
+    throw e;
+  }
+  for (const t of tracks) await fs.rm(t.path).catch(() => {});
+}
@@ -1,7 +1,57 @@
 import { createWriteStream } from 'node:fs';
 import { promises as fs } from 'node:fs';
-import { basename, extname } from 'node:path';
+import { basename, extname, dirname, join, resolve as resolvePath } from 'node:path';
 import { pipeline } from 'node:stream/promises';
+import { httpFetch, parseContentRange, retryBudget, withRetries, pickValidator, sameRemoteFile } from './net.js';
+import { downloadSegmented } from './segmented.js';
+import { fetchHlsVariants, downloadHls } from './hls.js';
+import { vttToSrt } from './subtitles.js';
+import { sanitizeName, restrictName, renderOutputTemplate, templateFields, resolveCollision, releasePath } from './naming.js';
+import { normalizeMeta, buildInfoJson, buildNfo, chaptersToVtt } from './sidecars.js';
+import { normalizePost, normalizeComment, buildPostJson, buildPostMarkdown } from './post-archive.js';
+import { createRpcPool, defaultRpcPool } from './rpc.js';
+import { getDefaultCache } from './cache.js';
+import { codedError } from './errors.js';
+import { candidateExt, selectFormat } from './formats.js';
+import { politeFetch, throttle, rateLimitInfo } from './throttle.js';
+import { createProgressMeter } from './progress.js';
+import { writeMp4Metadata, extractAudioTrack } from './mp4.js';
+import { peertubeHeaders } from './peertube-auth.js';
+
+export { downloadHls } from './hls.js';
+export { vttToSrt } from './subtitles.js';
+export { normalizeMeta } from './sidecars.js';
+export { buildPostMarkdown, postAsMeta, postBaseName } from './post-archive.js';
+export { openArchive, archiveKeys, peertubeKey } from './archive.js';
+export { verifyDownload, parseTorrent } from './torrent.js';
+export { sanitizeName, isOutputTemplate, renderOutputTemplate, resolveCollision, reservePath, releasePath } from './naming.js';
+export { createRpcPool, defaultRpcPool, setDefaultRpcPool, parseRpcNodes, DEFAULT_RPC_NODES } from './rpc.js';
+export { createCache, getDefaultCache, setDefaultCache, defaultCacheDir, CACHE_NAMESPACES } from './cache.js';
+export { ERROR_CODES, codedError, errorCode, serializeError } from './errors.js';
+export { parseFormatSelector, selectFormat, candidateExt } from './formats.js';
+export {
+  loadSubscriptions,
+  saveSubscriptions,
+  normalizeSubscriptions,
+  watchPaths,
+  loadWatchState,
+  saveWatchState,
+  DEFAULT_WATCH_INTERVAL,
+  DEFAULT_WATCH_MAX,
+} from './subscriptions.js';
+export {
+  peertubeLogin,
+  peertubeLogout,
+  peertubeHeaders,
+  createTokenStore,
+  getDefaultTokenStore,
+  setDefaultTokenStore,
+  defaultTokensFile,
+} from './peertube-auth.js';
+export { createProgressMeter, createProgressBar, formatBytes, formatDuration } from './progress.js';
+export { writeMp4Metadata, readMp4Metadata, extractAudioTrack } from './mp4.js';
+export { parseRate, setRateLimit, getHostPacer, setHostPacing, createRateLimiter, createHostPacer } from './throttle.js';
+export { setFetch } from './net.js';
 
 const PEERTUBE_SCHEME = 'peertube://';
 
@@ -26,6 +76,25 @@ export function parseInput(input) {
     const host = ensureHttps(u.host);
     const parts = u.pathname.split('/').filter(Boolean);
 
+    // Channels, accounts and playlists are listings rather than single videos
+    const lists = [
+      [['w', 'p'], 'playlist'],
+      [['videos', 'watch', 'playlist'], 'playlist'],
+      [['api', 'v1', 'video-playlists'], 'playlist'],
+      [['video-playlists'], 'playlist'],
+      [['api', 'v1', 'video-channels'], 'channel'],
+      [['video-channels'], 'channel'],
+      [['c'], 'channel'],
+      [['api', 'v1', 'accounts'], 'account'],
+      [['accounts'], 'account'],
+      [['a'], 'account'],
+    ];
+    for (const [p, type] of lists) {
+      if (p.every((pp, j) => parts[j] === pp) && parts[p.length]) {
+        return { host, id: null, list: { type, name: decodeURIComponent(parts[p.length]) } };
+      }
+    }
+
     // Known patterns: /w/:id, /videos/watch/:id, /videos/embed/:id, /api/v1/videos/:id
     let id = null;
     const patterns = [
@@ -70,76 +139,590 @@ function extractBastyonPostTx(input) {
   }
 }
 
-async function bastyonRpcCall(method, parameters, rpcBase = 'https://5.pocketnet.app:8899/rpc/') {
-  // Compose URL similar to pocketnet.gui/php/rpc.php which uses node + 'rpc/' + action
-  const base = rpcBase.endsWith('/') ? rpcBase : rpcBase + '/';
-  const url = base + 'rpc/' + method;
-  const body = JSON.stringify({ method, parameters });
-  const r = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-no-compression': '1',
-    },
-    body,
-  });
-  if (!r.ok) {
-    const t = await r.text().catch(() => '');
-    throw new Error(`Bastyon RPC error ${r.status}: ${t || r.statusText}`);
+// Bastyon author profiles: https://bastyon.com/<name>, .../author?address=<addr>
+// or a bare PKOIN address
+const PKOIN_ADDRESS = /^P[1-9A-HJ-NP-Za-km-z]{33}$/;
+const RESERVED_BASTYON_PATHS = new Set(['post', 'index', 'author', 'authorn', 's', 'search', 'userpage', 'help', 'welcome']);
+
+function extractBastyonAuthor(input) {
+  const v = (input || '').trim();
+  if (PKOIN_ADDRESS.test(v)) return { address: v };
+  try {
+    const u = new URL(v);
+    const host = (u.host || '').toLowerCase();
+    if (!(host.endsWith('bastyon.com') || host.endsWith('pocketnet.app'))) return null;
+    const parts = u.pathname.split('/').filter(Boolean);
+    const address = u.searchParams.get('address');
+    if (parts[0] === 'author' && address && PKOIN_ADDRESS.test(address)) return { address };
+    if (parts.length === 1 && !RESERVED_BASTYON_PATHS.has(parts[0].toLowerCase())) {
+      const seg = decodeURIComponent(parts[0]);
+      return PKOIN_ADDRESS.test(seg) ? { address: seg } : { name: seg };
+    }
+    return null;
+  } catch {
+    return null;
   }
-  const j = await r.json();
-  // Expect shape: { result: true/..., data: [...] }
-  if (j && j.result != null && j.data != null) return j.data;
-  // Fallbacks in case of proxy shape differences
-  if (Array.isArray(j)) return j;
-  if (j && j.data != null) return j.data;
-  throw new Error('Unexpected Bastyon RPC response');
 }
 
+// `options.rpc` is an RPC pool from createRpcPool; `options.rpcBase` (one node)
+// is still accepted. Without either the shared default pool is used.
+function bastyonRpcCall(method, parameters, options = {}) {
+  const pool = options.rpc || (options.rpcBase ? createRpcPool([options.rpcBase]) : defaultRpcPool());
+  return pool.call(method, parameters);
+}
+
+// Posts are immutable on chain, so a resolved post is cached for good.
+// `options.cache` overrides the shared cache (see lib/cache.js).
 export async function resolveBastyonPost(txid, options = {}) {
   if (!txid) throw new Error('Missing Bastyon post txid');
-  const { rpcBase } = options;
-  const data = await bastyonRpcCall('getrawtransactionwithmessagebyid', [[txid]], rpcBase);
-  if (!Array.isArray(data) || !data.length) throw new Error('Post not found');
+  const cache = options.cache || getDefaultCache();
+  const cached = await cache.get('posts', txid);
+  if (cached) return cached;
+  const resolved = await resolvePostFromChain(txid, options);
+  await cache.set('posts', txid, resolved);
+  return resolved;
+}
+
+async function resolvePostFromChain(txid, options) {
+  const data = await bastyonRpcCall('getrawtransactionwithmessagebyid', [[txid]], options);
+  if (!Array.isArray(data) || !data.length) throw codedError('POST_NOT_FOUND', 'Post not found');
   const post = data[0] || {};
   // According to pocketnet.gui/php/og.php, external URL is in field 'u'
   const u = post.u ? decodeURIComponent(post.u) : null;
-  if (!u) throw new Error('Post has no external video URL');
-  const { host, id } = parseInput(u);
-  if (!host || !id) throw new Error('Unable to parse video URL from post');
-  return { host, id, resolvedFrom: u };
+  if (!u) throw codedError('POST_NO_VIDEO', 'Post has no external video URL', { txid });
+  const { host, id, list } = parseInput(u);
+  if (!host || (!id && !list)) throw codedError('POST_NO_VIDEO', 'Unable to parse video URL from post', { txid });
+  return list ? { host, id, list, txid, resolvedFrom: u } : { host, id, txid, resolvedFrom: u };
+}
+
+// Replies to replies are rare on Bastyon; deeper threads are cut off here
+const MAX_COMMENT_DEPTH = 5;
+
+async function fetchCommentThread(txid, parentId, options, depth = 0) {
+  const list = await bastyonRpcCall('getcomments', [txid, parentId, '', []], options);
+  const comments = (Array.isArray(list) ? list : []).filter((c) => c && c.id);
+  comments.sort((a, b) => Number(a.time) - Number(b.time));
+  for (const c of comments) {
+    c.replies = Number(c.children) > 0 && depth < MAX_COMMENT_DEPTH
+      ? await fetchCommentThread(txid, c.id, options, depth + 1)
+      : [];
+  }
+  return comments;
+}
+
+// Profiles are only used for names and avatars; a failed lookup leaves the
+// bare addresses
+async function fetchProfiles(addresses, options) {
+  if (!addresses.length) return {};
+  try {
+    const list = await bastyonRpcCall('getuserprofile', [addresses, '1'], options);
+    return Object.fromEntries((Array.isArray(list) ? list : []).filter((p) => p && p.address).map((p) => [p.address, p]));
+  } catch {
+    return {};
+  }
+}
+
+// A Bastyon post with everything --archive-post saves: text, tags, author,
+// images and the comment thread (node RPCs getrawtransactionwithmessagebyid,
+// getcomments and getuserprofile), normalized by lib/post-archive.js. Works for
+// posts with or without a video. Comments keep changing, so nothing is cached.
+export async function fetchBastyonPost(txid, options = {}) {
+  if (!txid) throw new Error('Missing Bastyon post txid');
+  const data = await bastyonRpcCall('getrawtransactionwithmessagebyid', [[txid]], options);
+  if (!Array.isArray(data) || !data.length || !data[0]) throw codedError('POST_NOT_FOUND', 'Post not found');
+  const raw = { txid, ...data[0] };
+  const thread = await fetchCommentThread(txid, '', options);
+
+  const addresses = new Set(raw.address ? [raw.address] : []);
+  const collect = (list) => list.forEach((c) => {
+    if (c.address) addresses.add(c.address);
+    collect(c.replies);
+  });
+  collect(thread);
+  const profiles = await fetchProfiles([...addresses], options);
+
+  const toComment = (c) => ({ ...normalizeComment(c, profiles), replies: c.replies.map(toComment) });
+  return { ...normalizePost(raw, profiles), comments: thread.map(toComment) };
+}
+
+const FEED_PAGE_SIZE = 10;
+
+// Stricter than parseInput's last-segment fallback: only peertube:// links and
+// the known PeerTube watch/embed/API paths count as videos
+function isPeertubeVideoUrl(url) {
+  if (url.startsWith(PEERTUBE_SCHEME)) return true;
+  try {
+    return /^\/(?:w|videos\/watch|videos\/embed|api\/v1\/videos)\/(?!p\/|playlist\/)[^/]+/.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
 }
 
-// High-level resolver: accepts PeerTube URLs, peertube://, or Bastyon post URLs
+// Lists the video posts of a Bastyon author. `input` is a profile URL or a
+// PKOIN address. Posts come newest first from the node's `getprofilefeed` RPC;
+// only those whose `u` field parses as a PeerTube video are returned, as
+// { txid, host, id, resolvedFrom, publishedAt }, or with `allPosts` every post,
+// those without a video with host and id null. `max` caps the number of posts
+// and the date filters are those of matchesDateFilter.
+export async function resolveBastyonAuthor(input, options = {}) {
+  const ref = extractBastyonAuthor(input);
+  if (!ref) throw codedError('BAD_INPUT', 'Not a Bastyon profile URL or address');
+
+  let address = ref.address;
+  if (!address) {
+    const users = await bastyonRpcCall('getuseraddress', [ref.name], options);
+    const user = Array.isArray(users) ? users.find((x) => x && x.address) : null;
+    if (!user) throw codedError('AUTHOR_NOT_FOUND', `Bastyon user not found: ${ref.name}`);
+    address = user.address;
+  }
+
+  const max = Number(options.max) || Infinity;
+  const after = toDate(options.dateAfter || options.date);
+  const posts = [];
+  const seen = new Set();
+  // Height 0 asks the node for a feed as of its current tip
+  let height = 0;
+  let startTxid = '';
+
+  while (true) {
+    const page = await bastyonRpcCall(
+      'getprofilefeed',
+      [height, startTxid, FEED_PAGE_SIZE, '', [], ['video', 'share'], [], [], [], '', address],
+      options,
+    );
+    const contents = Array.isArray(page) ? page : (page && page.contents) || [];
+    if (page && page.height) height = page.height;
+
+    let fresh = 0;
+    for (const c of contents) {
+      if (!c || !c.txid || seen.has(c.txid)) continue;
+      seen.add(c.txid);
+      fresh++;
+      const publishedAt = c.time ? new Date(Number(c.time) * 1000).toISOString() : null;
+      if (after && publishedAt && new Date(publishedAt).getTime() < after.getTime()) return { address, posts };
+      if (!matchesDateFilter(publishedAt, options)) continue;
+
+      let url = null;
+      try {
+        url = c.u ? decodeURIComponent(c.u) : null;
+      } catch {
+        url = c.u;
+      }
+      const { host, id } = url && isPeertubeVideoUrl(url) ? parseInput(url) : {};
+      if (!host || !id) {
+        if (options.allPosts) posts.push({ txid: c.txid, host: null, id: null, resolvedFrom: url, publishedAt });
+        if (options.allPosts && posts.length >= max) return { address, posts };
+        continue;
+      }
+
+      posts.push({ txid: c.txid, host, id, resolvedFrom: url, publishedAt });
+      if (posts.length >= max) return { address, posts };
+    }
+
+    if (!fresh || contents.length < FEED_PAGE_SIZE) return { address, posts };
+    startTxid = contents[contents.length - 1].txid;
+  }
+}
+
+// High-level resolver: accepts PeerTube URLs, peertube://, or Bastyon post URLs.
+// Bastyon profile URLs and PKOIN addresses come back as { author } for
+// resolveBastyonAuthor, channel/account/playlist URLs as { list }.
 export async function resolveInput(input, options = {}) {
   const tx = extractBastyonPostTx(input);
   if (tx) {
-    const { host, id } = await resolveBastyonPost(tx, options);
-    return { host, id };
+    const { host, id, list, txid } = await resolveBastyonPost(tx, options);
+    return list ? { host, id, list, txid } : { host, id, txid };
   }
+  const author = extractBastyonAuthor(input);
+  if (author) return { host: null, id: null, author };
   return parseInput(input);
 }
 
-export async function fetchVideoMeta(host, id) {
-  if (!host || !id) throw new Error('Missing host or id');
+// Privacy ids whose files anybody may fetch: public and unlisted. Private,
+// internal and password-protected files need a video file token.
+const OPEN_PRIVACY = new Set([1, 2]);
+
+// The error for a failed video API request, telling a missing login or video
+// password apart from other refusals
+async function videoApiError(r, host, password) {
+  const t = await r.text().catch(() => '');
+  let code = null;
+  try {
+    code = JSON.parse(t).code;
+  } catch {}
+  if (r.status === 404) return codedError('VIDEO_NOT_FOUND', `PeerTube API error 404: ${t || r.statusText}`);
+  if (code === 'video_requires_password' || code === 'incorrect_video_password') {
+    return codedError('VIDEO_PASSWORD', password
+      ? 'Wrong video password'
+      : 'The video is password-protected; pass its password with --video-password');
+  }
+  if (r.status === 401 || r.status === 403) {
+    const h = new URL(ensureHttps(host)).host;
+    return codedError('VIDEO_PRIVATE', `The video is private or internal; log in with bvd login ${h} as a user who may see it (${r.status})`);
+  }
+  return codedError('PEERTUBE_API_ERROR', `PeerTube API error ${r.status}: ${t || r.statusText}`);
+}
+
+// Asks for a video file token (PeerTube >= 5) and adds it to every file and
+// playlist URL of a restricted video. HLS playlists get reinjectVideoFileToken
+// so the instance passes the token on to variant playlists and segments.
+async function attachFileToken(meta, base, headers, onWait) {
+  const r = await politeFetch(`${base}/api/v1/videos/${encodeURIComponent(meta.uuid)}/token`, {
+    method: 'POST',
+    headers: { Accept: 'application/json', ...headers },
+  }, { onWait });
+  // Older instances have no tokens; their private files cannot be fetched
+  if (r.status === 404) return;
+  if (!r.ok) throw await videoApiError(r, base, headers['x-peertube-video-password']);
+  const { files } = await r.json();
+  if (!files || !files.token) return;
+  const withToken = (u, hls = false) => {
+    if (!u) return u;
+    const x = new URL(u);
+    x.searchParams.set('videoFileToken', files.token);
+    if (hls) x.searchParams.set('reinjectVideoFileToken', 'true');
+    return x.toString();
+  };
+  const tokenize = (f) => {
+    f.fileUrl = withToken(f.fileUrl);
+    f.fileDownloadUrl = withToken(f.fileDownloadUrl);
+  };
+  for (const f of meta.files || []) tokenize(f);
+  for (const pl of meta.streamingPlaylists || []) {
+    pl.playlistUrl = withToken(pl.playlistUrl, true);
+    for (const f of pl.files || []) tokenize(f);
+  }
+}
+
+// Metadata is cached for the cache's TTL; `options.cache` overrides the shared
+// cache. Requests carry the login stored for the host (see peertube-auth.js)
+// and `options.password`, a video password. Restricted videos come with file
+// URLs holding a short-lived token and are never cached. `options.onWait` is
+// politeFetch's and `options.onAuthExpired` peertubeHeaders', here and in the
+// other API helpers below.
+export async function fetchVideoMeta(host, id, options = {}) {
+  if (!host || !id) throw codedError('BAD_INPUT', 'Missing host or id');
+  const { password = null, onWait = null, onAuthExpired = null } = options;
   const base = ensureHttps(host);
   const url = `${base}/api/v1/videos/${encodeURIComponent(id)}`;
+  const cache = options.cache || getDefaultCache();
+  const cached = await cache.get('videos', url);
+  if (cached) return cached;
 
-  const r = await fetch(url, {
-    headers: { Accept: 'application/json' },
-  });
+  const auth = await peertubeHeaders(host, { password, onAuthExpired });
+  const r = await politeFetch(url, {
+    headers: { Accept: 'application/json', ...auth },
+  }, { onWait });
+  if (!r.ok) throw await videoApiError(r, host, password);
+  const meta = await r.json();
+  const restricted = !!(meta.privacy && !OPEN_PRIVACY.has(meta.privacy.id));
+  if (restricted) await attachFileToken(meta, base, auth, onWait);
+  await attachHlsVariants(meta, onWait);
+  if (!restricted) await cache.set('videos', url, meta);
+  return meta;
+}
+
+// HLS-only playlists carry no downloadable files; read their master playlist so
+// buildCandidates can offer each variant. Failures leave the playlist untouched.
+async function attachHlsVariants(meta, onWait) {
+  if (!meta || !Array.isArray(meta.streamingPlaylists)) return;
+  for (const pl of meta.streamingPlaylists) {
+    if (!pl.playlistUrl || (Array.isArray(pl.files) && pl.files.length)) continue;
+    try {
+      pl.hlsVariants = await fetchHlsVariants(pl.playlistUrl, { onWait });
+    } catch {}
+  }
+}
+
+// Lists the captions PeerTube serves for a video as { lang, label, url }.
+// `options.password` is the video password of a protected video.
+export async function fetchCaptions(host, id, options = {}) {
+  if (!host || !id) throw new Error('Missing host or id');
+  const base = ensureHttps(host);
+  const url = `${base}/api/v1/videos/${encodeURIComponent(id)}/captions`;
+  const auth = await peertubeHeaders(host, { password: options.password, onAuthExpired: options.onAuthExpired });
+  const r = await politeFetch(url, { headers: { Accept: 'application/json', ...auth } }, { onWait: options.onWait });
   if (!r.ok) {
     const t = await r.text().catch(() => '');
     throw new Error(`PeerTube API error ${r.status}: ${t || r.statusText}`);
   }
-  const meta = await r.json();
-  return meta;
+  const j = await r.json();
+  const data = Array.isArray(j && j.data) ? j.data : [];
+  return data
+    .map((c) => {
+      const lang = (c.language && c.language.id) || null;
+      const label = (c.language && c.language.label) || lang;
+      const path = c.fileUrl || (c.captionPath && base + c.captionPath) || null;
+      return lang && path ? { lang, label, url: path } : null;
+    })
+    .filter(Boolean);
+}
+
+// Saves the captions of a video as `<basePath>.<lang>.<vtt|srt>`. `langs` is a
+// list of language codes (default: all), `format` is 'vtt' or 'srt'. Returns
+// the written paths. `password` is the video password of a protected video;
+// `onWait` and `onAuthExpired` are as for fetchVideoMeta.
+export async function downloadCaptions(host, id, basePath, opts = {}) {
+  const { langs = null, format = 'vtt', password = null, onWait = null, onAuthExpired = null } = opts;
+  if (format !== 'vtt' && format !== 'srt') throw new Error(`Unsupported subtitle format: ${format}`);
+  const wanted = langs && langs.length ? new Set(langs.map((l) => l.toLowerCase())) : null;
+  const captions = (await fetchCaptions(host, id, { password, onWait, onAuthExpired })).filter((c) => !wanted || wanted.has(c.lang.toLowerCase()));
+
+  // Caption files of a private video need the login too, but only the
+  // instance itself gets it (an expired login was reported above already)
+  const origin = new URL(ensureHttps(host)).origin;
+  const auth = await peertubeHeaders(host, { password });
+  const written = [];
+  for (const c of captions) {
+    const headers = { Accept: 'text/vtt, */*', ...(new URL(c.url).origin === origin ? auth : {}) };
+    const r = await politeFetch(c.url, { headers }, { onWait });
+    if (!r.ok) {
+      const t = await r.text().catch(() => '');
+      throw new Error(`Caption download error ${r.status}: ${t || r.statusText}`);
+    }
+    const vtt = await r.text();
+    const outPath = `${basePath}.${c.lang}.${format}`;
+    await fs.writeFile(outPath, format === 'srt' ? vttToSrt(vtt) : vtt);
+    written.push(outPath);
+  }
+  return written;
+}
+
+// PeerTube >= 6 serves chapters as { chapters: [{ timecode, title }] }.
+// Older instances answer 404, which is treated as "no chapters".
+export async function fetchChapters(host, id, options = {}) {
+  if (!host || !id) throw new Error('Missing host or id');
+  const url = `${ensureHttps(host)}/api/v1/videos/${encodeURIComponent(id)}/chapters`;
+  const auth = await peertubeHeaders(host, { password: options.password, onAuthExpired: options.onAuthExpired });
+  const r = await politeFetch(url, { headers: { Accept: 'application/json', ...auth } }, { onWait: options.onWait });
+  if (r.status === 404) return [];
+  if (!r.ok) {
+    const t = await r.text().catch(() => '');
+    throw new Error(`PeerTube API error ${r.status}: ${t || r.statusText}`);
+  }
+  const j = await r.json();
+  return Array.isArray(j && j.chapters) ? j.chapters : [];
+}
+
+// Writes the requested sidecar files next to a download, named from basePath
+// (the output path without extension):
+//   infoJson    <base>.info.json    normalized metadata, chapters and chosen file
+//   thumbnail   <base>-thumb.<ext>  preview image (falls back to the thumbnail)
+//   description <base>.description
+//   chapters    <base>.chapters.vtt
+//   nfo         <base>.nfo          Kodi/Jellyfin movie NFO
+// `source` is { host, txid } as returned by resolveInput; `opts.password` is
+// the video password of a protected video; `opts.onWait` and
+// `opts.onAuthExpired` are as for fetchVideoMeta. Returns the written paths.
+export async function writeMetadataFiles(meta, basePath, source = {}, opts = {}) {
+  const host = ensureHttps(source.host);
+  const info = normalizeMeta(meta, { ...source, host });
+  const written = [];
+  const write = async (path, data) => {
+    await fs.writeFile(path, data);
+    written.push(path);
+  };
+
+  const needChapters = opts.chapters || opts.infoJson;
+  const chapters = needChapters && meta.uuid ? await fetchChapters(host, meta.uuid, { password: opts.password, onWait: opts.onWait, onAuthExpired: opts.onAuthExpired }) : [];
+
+  if (opts.infoJson) {
+    const extra = { chapters };
+    if (opts.chosen) extra.format = opts.chosen;
+    await write(`${basePath}.info.json`, buildInfoJson(info, extra));
+  }
+  if (opts.description && info.description) {
+    await write(`${basePath}.description`, info.description.endsWith('\n') ? info.description : info.description + '\n');
+  }
+  if (opts.chapters && chapters.length) {
+    await write(`${basePath}.chapters.vtt`, chaptersToVtt(chapters, info.duration));
+  }
+  if (opts.nfo) {
+    await write(`${basePath}.nfo`, buildNfo(info));
+  }
+  if (opts.thumbnail) {
+    const imgUrl = info.previewUrl || info.thumbnailUrl;
+    if (imgUrl) {
+      const r = await politeFetch(imgUrl, { headers: { Accept: 'image/*' } }, { onWait: opts.onWait });
+      if (!r.ok) throw new Error(`Thumbnail download error ${r.status}: ${r.statusText}`);
+      const ext = urlExt(imgUrl) || (/png/.test(r.headers.get('content-type') || '') ? '.png' : '.jpg');
+      await write(`${basePath}-thumb${ext}`, Buffer.from(await r.arrayBuffer()));
+    }
+  }
+  return written;
+}
+
+function imageExt(u, contentType) {
+  const e = urlExt(u);
+  if (/^\.(jpe?g|png|gif|webp|avif|svg|bmp)$/.test(e)) return e;
+  const m = /^image\/([a-z0-9+.-]+)/i.exec(contentType || '');
+  if (!m) return '.jpg';
+  const sub = m[1].toLowerCase();
+  return sub === 'jpeg' ? '.jpg' : sub === 'svg+xml' ? '.svg' : `.${sub}`;
+}
+
+// Writes a post from fetchBastyonPost as <base>.post.json and <base>.post.md,
+// its images as <base>.post-images/<n>.<ext>. An image that cannot be fetched
+// keeps its URL and gets an `error` in the JSON instead of failing the bundle.
+// Returns the written paths.
+export async function writePostArchive(post, basePath) {
+  const dir = `${basePath}.post-images`;
+  const written = [];
+  const images = [];
+  for (const [i, img] of post.images.entries()) {
+    try {
+      const r = await politeFetch(img.url, { headers: { Accept: 'image/*' } });
+      if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}`.trim());
+      const name = `${i + 1}${imageExt(img.url, r.headers.get('content-type'))}`;
+      const data = Buffer.from(await r.arrayBuffer());
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(join(dir, name), data);
+      written.push(join(dir, name));
+      images.push({ ...img, file: `${basename(dir)}/${name}` });
+    } catch (e) {
+      images.push({ ...img, error: e && e.message ? e.message : String(e) });
+    }
+  }
+  const bundle = { ...post, images, archivedAt: new Date().toISOString() };
+  await fs.writeFile(`${basePath}.post.json`, buildPostJson(bundle));
+  await fs.writeFile(`${basePath}.post.md`, buildPostMarkdown(bundle));
+  written.unshift(`${basePath}.post.json`, `${basePath}.post.md`);
+  return written;
+}
+
+// MP4 `desc` tags are read as at most 255 characters; longer text goes to `ldes`
+const SHORT_DESCRIPTION = 255;
+
+// Writes title, channel, date, genre, description and the source URLs as MP4
+// tags into a downloaded MP4/M4A, the preview image as cover art and the
+// PeerTube chapters as a chapter list (see lib/mp4.js). `source` is
+// { host, txid }; `opts.password` is the video password of a protected video,
+// `opts.onWait` and `opts.onAuthExpired` are as for fetchVideoMeta.
+// A cover that cannot be fetched is left out. Resolves with { tags, cover,
+// chapters }: the names of the tags written, whether a cover was and the
+// number of chapters. Throws UNSUPPORTED_CONTAINER for files that are not MP4.
+export async function embedMetadata(path, meta, source = {}, opts = {}) {
+  const host = ensureHttps(source.host);
+  const info = normalizeMeta(meta, { ...source, host });
+  const chapters = meta.uuid ? await fetchChapters(host, meta.uuid, { password: opts.password, onWait: opts.onWait, onAuthExpired: opts.onAuthExpired }) : [];
+
+  let cover = null;
+  const imgUrl = info.previewUrl || info.thumbnailUrl;
+  if (imgUrl) {
+    try {
+      const r = await politeFetch(imgUrl, { headers: { Accept: 'image/jpeg,image/png' } }, { onWait: opts.onWait });
+      if (r.ok) cover = Buffer.from(await r.arrayBuffer());
+    } catch {}
+  }
+
+  const channel = info.channel || info.account;
+  const description = info.description ? info.description.trim() : null;
+  const tags = {
+    title: info.title,
+    artist: channel && (channel.displayName || channel.name),
+    albumArtist: info.account && (info.account.displayName || info.account.name),
+    date: info.originallyPublishedAt || info.publishedAt,
+    genre: info.category,
+    description: description && description.length > SHORT_DESCRIPTION ? `${description.slice(0, SHORT_DESCRIPTION - 1)}…` : description,
+    longDescription: description && description.length > SHORT_DESCRIPTION ? description : null,
+    comment: [info.webpageUrl, info.bastyon && info.bastyon.postUrl].filter(Boolean).join('\n'),
+  };
+  await writeMp4Metadata(path, {
+    tags,
+    cover,
+    chapters: chapters.map((c) => ({ start: c.timecode, title: c.title })),
+  });
+  return {
+    tags: Object.keys(tags).filter((k) => tags[k]),
+    cover: !!cover,
+    chapters: Math.min(chapters.length, 255),
+  };
+}
+
+const LIST_ENDPOINTS = {
+  channel: (name) => `video-channels/${encodeURIComponent(name)}/videos`,
+  account: (name) => `accounts/${encodeURIComponent(name)}/videos`,
+  playlist: (name) => `video-playlists/${encodeURIComponent(name)}/videos`,
+};
+
+const PAGE_SIZE = 100; // PeerTube's maximum `count`
+
+// Accepts a Date, an ISO string, YYYYMMDD or YYYY-MM-DD
+function toDate(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return v;
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(v));
+  const d = m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))) : new Date(v);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid date: ${v}`);
+  return d;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// True when publishedAt lies inside the optional date window. `dateBefore` and
+// `dateAfter` are inclusive whole days; `date` matches a single day.
+export function matchesDateFilter(publishedAt, filters = {}) {
+  const date = toDate(filters.date);
+  const before = toDate(filters.dateBefore);
+  const after = toDate(filters.dateAfter);
+  if (!date && !before && !after) return true;
+  const t = publishedAt ? new Date(publishedAt).getTime() : NaN;
+  if (Number.isNaN(t)) return false;
+  if (date && (t < date.getTime() || t >= date.getTime() + DAY_MS)) return false;
+  if (before && t >= before.getTime() + DAY_MS) return false;
+  if (after && t < after.getTime()) return false;
+  return true;
 }
 
-function sanitizeName(name) {
-  const base = (name || '').toString().trim() || 'video';
-  // Remove unsafe characters
-  return base.replace(/[\/:*?"<>|\u0000-\u001F]/g, ' ').replace(/\s+/g, ' ').slice(0, 120).trim();
+// Pages through a channel, account or playlist listing and returns its videos
+// as { host, id, name, publishedAt } entries. `start`/`end` are 1-based
+// inclusive positions in the listing, `max` caps the number of entries and the
+// date filters are those of matchesDateFilter; `onWait` and `onAuthExpired`
+// are as for fetchVideoMeta.
+export async function listCollectionVideos(host, list, opts = {}) {
+  if (!host || !list || !LIST_ENDPOINTS[list.type]) throw new Error('Missing host or list');
+  const base = ensureHttps(host);
+  const start = Math.max(1, Number(opts.start) || 1);
+  const end = Number(opts.end) || Infinity;
+  const max = Number(opts.max) || Infinity;
+  const after = toDate(opts.dateAfter || opts.date);
+  // Channel/account listings are newest first, so older entries end the walk
+  const sortedByDate = list.type !== 'playlist';
+
+  const entries = [];
+  let position = 0;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const qs = new URLSearchParams({ start: String(offset), count: String(PAGE_SIZE) });
+    if (sortedByDate) qs.set('sort', '-publishedAt');
+    const url = `${base}/api/v1/${LIST_ENDPOINTS[list.type](list.name)}?${qs}`;
+    // A login may show internal videos in the listing
+    const auth = await peertubeHeaders(host, { onAuthExpired: opts.onAuthExpired });
+    const r = await politeFetch(url, { headers: { Accept: 'application/json', ...auth } }, { onWait: opts.onWait });
+    if (!r.ok) {
+      const t = await r.text().catch(() => '');
+      throw new Error(`PeerTube API error ${r.status}: ${t || r.statusText}`);
+    }
+    const page = await r.json();
+    const data = Array.isArray(page && page.data) ? page.data : [];
+
+    for (const item of data) {
+      // Playlist elements wrap the video; deleted/private ones have video: null
+      const v = list.type === 'playlist' ? item.video : item;
+      position++;
+      if (!v || position < start) continue;
+      if (position > end) return entries;
+      if (sortedByDate && after && v.publishedAt && new Date(v.publishedAt).getTime() < after.getTime()) {
+        return entries;
+      }
+      if (!matchesDateFilter(v.publishedAt, opts)) continue;
+      // `origin` is the instance the video was uploaded to, as in archive keys
+      const origin = (v.channel && v.channel.host) || (v.account && v.account.host) || null;
+      entries.push({ host: base, id: v.uuid || v.shortUUID || String(v.id), origin, name: v.name, publishedAt: v.publishedAt });
+      if (entries.length >= max) return entries;
+    }
+
+    if (data.length < PAGE_SIZE || (page.total != null && offset + PAGE_SIZE >= page.total)) return entries;
+  }
 }
 
 function urlExt(u) {
@@ -152,20 +735,24 @@ function urlExt(u) {
   }
 }
 
-function buildCandidates(meta) {
+export function buildCandidates(meta) {
   const candidates = [];
 
-  const pushFile = (f, kind) => {
+  const pushFile = (f, kind, source = 'direct') => {
     if (!f) return;
     const fileUrl = f.fileUrl || f.url || f.src || null;
+    // Same file, served with Content-Disposition so browsers save it
+    const downloadUrl = f.fileDownloadUrl || null;
     const mimeType = f.mimeType || f.type || '';
     const size = f.size || f.filesize || null;
     const height = (f.resolution && (f.resolution.id || f.resolution.label)) || f.height || null;
     const fps = f.fps || null;
+    // Used by verifyDownload to check the saved bytes against the piece hashes
+    const torrentUrl = f.torrentUrl || f.torrentDownloadUrl || null;
 
     if (!fileUrl) return;
 
-    candidates.push({ kind, fileUrl, mimeType, size, height: Number(height) || null, fps });
+    candidates.push({ kind, source, fileUrl, downloadUrl, mimeType, size, height: Number(height) || null, fps, torrentUrl });
   };
 
   // 1) Direct files (webtorrent HTTP fallback)
@@ -179,34 +766,77 @@ function buildCandidates(meta) {
       if (Array.isArray(pl.files)) for (const f of pl.files) pushFile(f, f.audioOnly ? 'audio' : 'video');
       // Some PeerTube versions expose audioOnly flag on file or resolution === null
       if (Array.isArray(pl.audioFiles)) for (const f of pl.audioFiles) pushFile(f, 'audio');
+      // HLS-only playlists: one candidate per variant (fragmented MP4 segments)
+      if (Array.isArray(pl.hlsVariants)) {
+        for (const v of pl.hlsVariants) {
+          candidates.push({
+            kind: v.audioOnly ? 'audio' : 'video',
+            source: 'hls',
+            fileUrl: v.uri,
+            // Sound served as its own playlist, muxed in by downloadHls
+            audioUrl: v.audioUri || null,
+            mimeType: v.audioOnly ? 'audio/mp4' : 'video/mp4',
+            size: null,
+            height: v.height,
+            fps: v.fps,
+            torrentUrl: null,
+          });
+        }
+      }
     }
   }
 
   // 3) Fallback: preview files field variations
   if (meta.previewFiles && Array.isArray(meta.previewFiles)) {
-    for (const f of meta.previewFiles) pushFile(f, 'video');
+    for (const f of meta.previewFiles) pushFile(f, 'video', 'preview');
   }
 
-  // Prefer https and mp4 first by sorting criteria
+  // Prefer https and mp4 first by sorting criteria, direct files over HLS
   const score = (c) => {
     const ext = urlExt(c.fileUrl);
     const isMp4 = ext === '.mp4' || /mp4/.test(c.mimeType || '');
     const isHttps = c.fileUrl.startsWith('https://');
-    return (isHttps ? 2 : 0) + (isMp4 ? 3 : 0) + (c.height || 0) / 10000;
+    const isDirect = c.source !== 'hls';
+    return (isHttps ? 2 : 0) + (isMp4 ? 3 : 0) + (isDirect ? 1 : 0) + (c.height || 0) / 10000;
   };
 
   return candidates.sort((a, b) => score(b) - score(a));
 }
 
+// buildCandidates' files with their position in that list, as --list-formats
+// shows them and format selectors refer to them by index
+export function listFormats(meta) {
+  return buildCandidates(meta).map((c, index) => ({ index, ...c }));
+}
+
+// Most instances publish no audio-only file. Then `audioOnly` takes the
+// smallest MP4 video (direct files before HLS) with `extractAudio` set:
+// downloadCandidate saves only its sound track, as .m4a.
+function audioSourceVideo(meta) {
+  const videos = buildCandidates(meta).filter((c) => c.kind === 'video' && c.source !== 'preview'
+    && (c.source === 'hls' || candidateExt(c) === 'mp4'));
+  const rank = (c) => [c.source === 'hls' ? 1 : 0, c.height || 1e6, c.size || Number.MAX_SAFE_INTEGER];
+  videos.sort((a, b) => {
+    const [x, y] = [rank(a), rank(b)];
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+  });
+  return videos.length ? { ...videos[0], extractAudio: true } : null;
+}
+
+// Picks the file to download. `format` is a selector (see lib/formats.js)
+// and wins over `quality` (max height) and `audioOnly`. Without an audio
+// file, `audioOnly` falls back to a video to extract the sound from (see
+// audioSourceVideo).
 export function selectFile(meta, opts = {}) {
-  const { quality = null, audioOnly = false } = opts;
+  const { quality = null, audioOnly = false, format = null } = opts;
+  if (format) return selectFormat(listFormats(meta), format);
   const all = buildCandidates(meta).filter((c) => (audioOnly ? c.kind === 'audio' : c.kind === 'video'));
-  if (all.length === 0) return null;
 
   if (audioOnly) {
     // Choose best audio by size or bitrate if available
-    return all[0];
+    return all[0] || audioSourceVideo(meta);
   }
+  if (all.length === 0) return null;
 
   if (quality) {
     const leq = all.filter((c) => c.height && c.height <= quality).sort((a, b) => (b.height || 0) - (a.height || 0));
@@ -218,42 +848,112 @@ export function selectFile(meta, opts = {}) {
   return all[0];
 }
 
-export function deriveOutputName(meta, chosen) {
-  const base = sanitizeName(meta.name || meta.title || meta.uuid || 'video');
-  const ext = urlExt(chosen.fileUrl) || (chosen.kind === 'audio' ? '.m4a' : '.mp4');
+// Output file name for a video: `<sanitized title>.<ext>` by default, or the
+// rendered `template` (see renderOutputTemplate) when one is given.
+// `restrict` limits names to ASCII, `source` ({ host, txid }) feeds template fields.
+export function deriveOutputName(meta, chosen, opts = {}) {
+  const { template = null, restrict = false, source = {} } = opts;
+  const ext = `.${candidateExt(chosen)}`;
+  if (template) return renderOutputTemplate(template, templateFields(meta, chosen, ext, source), { restrict });
+  const title = meta.name || meta.title || meta.uuid || 'video';
+  const base = restrict ? restrictName(title) : sanitizeName(title);
   return `${base}${ext}`;
 }
 
-export async function downloadFile(url, outPath) {
-  const tmp = `${outPath}.part`;
+async function readPartState(tmp, stateFile) {
+  const st = await fs.stat(tmp).catch(() => null);
+  if (!st || !st.isFile()) return null;
+  let validators = null;
   try {
+    validators = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+  } catch {}
+  return { size: st.size, validators };
+}
+
+// Opens the HTTP response for the next attempt. Returns the response and the
+// byte offset it starts at: the current .part size when the server honoured the
+// Range request for the same remote file, 0 when the .part has to be rewritten.
+async function openDownload(url, tmp, stateFile, signal) {
+  const part = await readPartState(tmp, stateFile);
+  // A segmented .part is preallocated to full size, so its size says nothing
+  // about progress; a single stream has to start over.
+  const resumable = part && part.size > 0 && part.validators && part.validators.url === url && !part.validators.chunks;
+  const validator = resumable
+    ? pickValidator(part.validators)
+    : null;
+
+  const headers = { Accept: '*/*' };
+  if (validator) {
+    headers.Range = `bytes=${part.size}-`;
+    headers['If-Range'] = validator;
+  }
+
+  const r = await httpFetch(url, { headers, signal });
+
+  if (validator && r.status === 416) {
+    // Range starts at EOF: the .part may already hold the complete file
+    const cr = parseContentRange(r.headers.get('content-range'));
+    await r.body?.cancel().catch(() => {});
+    if (cr && cr.total === part.size && sameRemoteFile(part.validators, r)) {
+      return { response: null, offset: part.size, total: part.size };
+    }
     await fs.rm(tmp).catch(() => {});
+    await fs.rm(stateFile).catch(() => {});
+    return openDownload(url, tmp, stateFile, signal);
+  }
 
-    const r = await fetch(url, { headers: { Accept: '*/*' } });
-    if (!r.ok || !r.body) {
-      const t = await r.text().catch(() => '');
-      throw new Error(`Download error ${r.status}: ${t || r.statusText}`);
+  if (!r.ok || !r.body) {
+    const t = await r.text().catch(() => '');
+    const err = new Error(`Download error ${r.status}: ${t || r.statusText}`);
+    err.code = 'DOWNLOAD_FAILED';
+    err.retryable = r.status >= 500 || r.status === 408;
+    Object.assign(err, rateLimitInfo(r));
+    throw err;
+  }
+
+  if (validator && r.status === 206) {
+    const cr = parseContentRange(r.headers.get('content-range'));
+    if (cr && cr.start === part.size && sameRemoteFile(part.validators, r)) {
+      return { response: r, offset: part.size, total: cr.total };
     }
+    // Server answered with a different range or a different file: start over
+    await r.body.cancel().catch(() => {});
+    await fs.rm(tmp).catch(() => {});
+    await fs.rm(stateFile).catch(() => {});
+    return openDownload(url, tmp, stateFile, signal);
+  }
 
-    const totalStr = r.headers.get('content-length');
-    const total = totalStr ? Number(totalStr) : null;
+  // Full response (200): range unsupported, validator mismatch or fresh start
+  const totalStr = r.headers.get('content-length');
+  const validators = {
+    url,
+    etag: r.headers.get('etag'),
+    lastModified: r.headers.get('last-modified'),
+  };
+  await fs.writeFile(stateFile, JSON.stringify(validators));
+  return { response: r, offset: 0, total: totalStr ? Number(totalStr) : null };
+}
 
-    let downloaded = 0;
-    const ws = createWriteStream(tmp);
+async function downloadAttempt(url, tmp, stateFile, opts) {
+  const { signal, onProgress } = opts;
+  const { response: r, offset, total } = await openDownload(url, tmp, stateFile, signal);
+  if (!r) return;
 
-    const report = () => {
-      if (!total) return;
-      const pct = ((downloaded / total) * 100).toFixed(1);
-      process.stdout.write(`\rDownloading: ${pct}% (${downloaded}/${total} bytes)`);
-    };
+  let downloaded = offset;
+  const ws = createWriteStream(tmp, { flags: offset ? 'a' : 'w' });
 
-    const readable = r.body;
-    const reader = readable.getReader();
+  const report = () => {
+    if (onProgress) onProgress(downloaded, total);
+  };
 
-    await new Promise(async (resolve, reject) => {
+  const reader = r.body.getReader();
+
+  try {
+    await new Promise((resolve, reject) => {
       function pump() {
-        reader.read().then(({ done, value }) => {
+        reader.read().then(async ({ done, value }) => {
           if (done) return resolve();
+          await throttle(value.length);
           ws.write(value, (err) => {
             if (err) return reject(err);
             downloaded += value.length;
@@ -265,13 +965,143 @@ export async function downloadFile(url, outPath) {
       ws.on('error', reject);
       pump();
     });
+  } finally {
+    // Flush whatever was received so the next attempt can resume from it
+    await new Promise((res) => ws.end(() => res()));
+  }
+
+  if (total && downloaded !== total) {
+    const err = new Error(`Download truncated at ${downloaded}/${total} bytes`);
+    err.retryable = true;
+    throw err;
+  }
+}
 
-    await new Promise((res, rej) => ws.end(() => res()));
+// Downloads url to outPath through a resumable `<outPath>.part` file. An
+// existing .part is continued with a Range request when the server still
+// serves the same file; connection drops are retried up to `retries` times.
+// With `connections` > 1 and a server that accepts ranges, the file is split
+// into byte ranges fetched in parallel (see downloadSegmented).
+// `onProgress(downloaded, total)` is called as bytes arrive (total may be null)
+// and `signal` aborts the download, leaving the .part for a later resume.
+// `onRetry` is withRetries' callback for connection problems.
+// Nothing is printed; see lib/progress.js for a progress bar.
+export async function downloadFile(url, outPath, opts = {}) {
+  const { retries = 3, connections = 1, signal = null, onProgress = null, onRetry = null } = opts;
+  const tmp = `${outPath}.part`;
+  const stateFile = `${tmp}.json`;
+
+  let saved = null;
+  try {
+    saved = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+  } catch {}
+  // An interrupted segmented download carries on segmented
+  const segmented = connections > 1 || !!(saved && saved.url === url && saved.chunks);
+  // One budget for the whole file: chunk retries, segmented restarts and the
+  // single-stream fallback all count against `retries`
+  const budget = retryBudget(retries);
+  const segOpts = { connections: Math.max(1, connections), retries: budget, signal, onProgress, onRetry };
+  const done = segmented && (await withRetries(() => downloadSegmented(url, tmp, stateFile, segOpts), budget, { onRetry }));
+  if (!done) await withRetries(() => downloadAttempt(url, tmp, stateFile, { signal, onProgress }), budget, { onRetry });
 
-    await fs.rename(tmp, outPath);
-    process.stdout.write('\n');
+  await fs.rename(tmp, outPath);
+  await fs.rm(stateFile).catch(() => {});
+}
+
+// Downloads a chosen file (one of buildCandidates') to outPath, assembling HLS
+// playlists. `onProgress(event)` gets createProgressMeter's events: bytes
+// `downloaded`, `total`, `percent`, `speed` (bytes/s) and `eta` (seconds).
+// A candidate with `extractAudio` (see selectFile) is downloaded to
+// <outPath>.video and only its sound track saved to outPath. The video stays
+// when the extraction fails for a reason a rerun may not hit (a full disk), so
+// it is not downloaded again; a video without usable sound is removed.
+// Resolves with { path, bytes, duration } (duration in ms).
+export async function downloadCandidate(chosen, outPath, opts = {}) {
+  const { retries = 3, connections = 1, signal = null, onProgress = null, onRetry = null, onWait = null } = opts;
+  const started = Date.now();
+  const meter = createProgressMeter();
+  const report = onProgress ? (downloaded, total, parts) => onProgress(meter(downloaded, total, parts)) : null;
+  const dl = { retries, connections, signal, onProgress: report, onRetry };
+  const target = chosen.extractAudio ? `${outPath}.video` : outPath;
+  // A video finished by an earlier run only needs the extraction
+  const have = chosen.extractAudio && (await fs.stat(target).then((st) => st.isFile(), () => false));
+  if (!have) {
+    if (chosen.source === 'hls') await downloadHls(chosen.fileUrl, target, { ...dl, onWait, audioUrl: chosen.audioUrl || null });
+    else await downloadFile(chosen.fileUrl, target, dl);
+  }
+  if (chosen.extractAudio) {
+    try {
+      await extractAudioTrack(target, outPath);
+    } catch (e) {
+      if (e.code === 'NO_FORMAT' || e.code === 'UNSUPPORTED_CONTAINER') await fs.rm(target).catch(() => {});
+      throw e;
+    }
+    await fs.rm(target);
+  }
+  const { size } = await fs.stat(outPath);
+  if (report) report(size, size);
+  return { path: outPath, bytes: size, duration: Date.now() - started };
+}
+
+// Downloads one video: a Bastyon post, PeerTube URL or peertube://host/uuid.
+// Options:
+//   output      file path; else the derived name (or `template`) in `outputDir` (default: cwd)
+//   template, restrict     as for deriveOutputName
+//   collision   'skip' (default), 'overwrite' or 'number' when the file exists
+//               or another download() in this process is writing it
+//   quality, audioOnly, format     as for selectFile
+//   videoPassword                  password of a password-protected video
+//   retries, connections, onRetry  as for downloadFile
+//   onWait      politeFetch's, for the API and playlist requests
+//   onAuthExpired          peertubeHeaders', for a stored login that expired
+//   signal      an AbortSignal; aborting rejects with an ABORTED error and
+//               keeps the .part file for a later resume
+//   onProgress  called with progress events, see downloadCandidate
+// Resolves with { path, bytes, duration, skipped, chosen, meta, source }:
+// `chosen` is the listFormats entry downloaded, `meta` the PeerTube metadata
+// and `source` { input, host, id, txid }. With collision 'skip' and an
+// existing (or in-progress) file, `skipped` is true and nothing is downloaded.
+export async function download(input, opts = {}) {
+  const { output = null, outputDir = null, template = null, restrict = false, collision = 'skip' } = opts;
+  const { quality = null, audioOnly = false, format = null, videoPassword = null, signal = null, onWait = null, onAuthExpired = null } = opts;
+  const started = Date.now();
+  const checkAborted = () => {
+    if (signal && signal.aborted) throw codedError('ABORTED', 'Download canceled', { cause: signal.reason });
+  };
+
+  checkAborted();
+  const { host, id, txid, list, author } = await resolveInput(input);
+  if (list || author) throw codedError('BAD_INPUT', 'download() takes a single video; list channels, playlists and authors with listCollectionVideos or resolveBastyonAuthor');
+  if (!host || !id) throw codedError('BAD_INPUT', 'Unable to resolve input. Expect Bastyon post URL, peertube://host/uuid or PeerTube URL');
+  const source = { input, host, id, txid: txid || null };
+  checkAborted();
+  const meta = await fetchVideoMeta(host, id, { password: videoPassword, onWait, onAuthExpired });
+  const formats = listFormats(meta);
+  const selected = selectFile(meta, { quality, audioOnly, format });
+  if (!selected) {
+    throw codedError('NO_FORMAT', format ? `No file matches the format selector "${format}"` : 'No suitable downloadable file found');
+  }
+  const found = formats.find((f) => f.fileUrl === selected.fileUrl);
+  const chosen = selected.extractAudio ? { ...found, extractAudio: true } : found;
+
+  const target = output
+    ? resolvePath(output)
+    : resolvePath(outputDir || process.cwd(), deriveOutputName(meta, chosen, { template, restrict, source: { host, txid } }));
+  const outPath = await resolveCollision(target, collision, { reserve: true });
+  if (!outPath) {
+    const stat = await fs.stat(target).catch(() => null);
+    return { path: target, bytes: stat ? stat.size : 0, duration: Date.now() - started, skipped: true, chosen, meta, source };
+  }
+  let saved;
+  try {
+    await fs.mkdir(dirname(outPath), { recursive: true });
+    checkAborted();
+    saved = await downloadCandidate(chosen, outPath, opts);
   } catch (e) {
-    await fs.rm(tmp).catch(() => {});
+    checkAborted();
     throw e;
+  } finally {
+    releasePath(outPath);
   }
+  return { path: outPath, bytes: saved.bytes, duration: Date.now() - started, skipped: false, chosen, meta, source };
 }
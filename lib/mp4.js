@@ -0,0 +1,812 @@
+import { promises as fs } from 'node:fs';
+import { codedError } from './errors.js';
+
+// Pure-JS editing of MP4/M4A files (ISO base media file format). Metadata,
+// used by --embed-metadata:
+//   moov/udta/meta/ilst   iTunes-style tags and cover art, read by most players
+//   moov/udta/chpl        Nero-style chapter list, read by ffmpeg-based players,
+//                         mpv and VLC
+// The file is rewritten through a temporary file with the new moov box.
+// Everything after the moov box moves by the change in its size, so chunk
+// offsets (stco/co64) and absolute fragment offsets (tfhd) are moved with it.
+// extractAudioTrack, further down, is the --audio-only fallback, and
+// muxFragmented joins HLS video with its separate audio playlist.
+
+// Boxes whose payload is a list of boxes, on the paths this file walks
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'moof', 'traf']);
+// ilst item types; '\xa9' is the © that starts Apple's own tag names
+const TAG_ATOMS = {
+  title: '\xa9nam',
+  artist: '\xa9ART',
+  albumArtist: 'aART',
+  album: '\xa9alb',
+  date: '\xa9day',
+  genre: '\xa9gen',
+  comment: '\xa9cmt',
+  description: 'desc',
+  longDescription: 'ldes',
+  encoder: '\xa9too',
+};
+// Type indicators of the `data` box
+const DATA_UTF8 = 1;
+const DATA_JPEG = 13;
+const DATA_PNG = 14;
+// chpl counts chapters in one byte and times in 100 ns units
+const MAX_CHAPTERS = 255;
+const COPY_CHUNK = 1 << 20;
+
+function fourcc(buf, at) {
+  return buf.toString('latin1', at, at + 4);
+}
+
+// Child boxes of buf[start, end) as { type, start, end, header }
+export function parseBoxes(buf, start = 0, end = buf.length) {
+  const boxes = [];
+  let at = start;
+  while (at + 8 <= end) {
+    let size = buf.readUInt32BE(at);
+    let header = 8;
+    if (size === 1) {
+      if (at + 16 > end) break;
+      size = Number(buf.readBigUInt64BE(at + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - at;
+    }
+    if (size < header || at + size > end) throw codedError('UNSUPPORTED_CONTAINER', `Damaged MP4 box at offset ${at}`);
+    boxes.push({ type: fourcc(buf, at + 4), start: at, end: at + size, header });
+    at += size;
+  }
+  return boxes;
+}
+
+export function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(8 + body.length, 0);
+  head.write(type, 4, 'latin1');
+  return Buffer.concat([head, body]);
+}
+
+export function fullBox(type, version, flags, ...payloads) {
+  const vf = Buffer.alloc(4);
+  vf.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+  return box(type, vf, ...payloads);
+}
+
+// MP4 and M4A files start with an ftyp box
+async function checkMp4(fh, path) {
+  const head = Buffer.alloc(8);
+  const { bytesRead } = await fh.read(head, 0, 8, 0);
+  if (bytesRead < 8 || fourcc(head, 4) !== 'ftyp') throw codedError('UNSUPPORTED_CONTAINER', `${path} is not an MP4 file`);
+}
+
+// The top-level boxes of an open file, read header by header
+export async function readTopLevelBoxes(fh) {
+  const { size: fileSize } = await fh.stat();
+  const boxes = [];
+  const head = Buffer.alloc(16);
+  let at = 0;
+  while (at + 8 <= fileSize) {
+    await fh.read(head, 0, 16, at);
+    let size = head.readUInt32BE(0);
+    let header = 8;
+    if (size === 1) {
+      size = Number(head.readBigUInt64BE(8));
+      header = 16;
+    } else if (size === 0) {
+      size = fileSize - at;
+    }
+    if (size < header || at + size > fileSize) throw codedError('UNSUPPORTED_CONTAINER', `Damaged MP4 box at offset ${at}`);
+    boxes.push({ type: fourcc(head, 4), start: at, end: at + size, header });
+    at += size;
+  }
+  return boxes;
+}
+
+async function readBox(fh, b) {
+  const buf = Buffer.alloc(b.end - b.start);
+  await fh.read(buf, 0, buf.length, b.start);
+  return buf;
+}
+
+async function copyRange(src, dst, start, end) {
+  const buf = Buffer.alloc(Math.min(COPY_CHUNK, Math.max(1, end - start)));
+  for (let at = start; at < end;) {
+    const { bytesRead } = await src.read(buf, 0, Math.min(buf.length, end - at), at);
+    if (!bytesRead) throw codedError('UNSUPPORTED_CONTAINER', 'MP4 file ended early');
+    await dst.write(buf, 0, bytesRead);
+    at += bytesRead;
+  }
+}
+
+function dataBox(type, value) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(type, 0);
+  return box('data', head, value);
+}
+
+function coverType(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return DATA_JPEG;
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return DATA_PNG;
+  return null;
+}
+
+// Cuts UTF-8 text to at most `max` bytes without splitting a character
+function utf8Prefix(text, max) {
+  const buf = Buffer.from(text, 'utf8');
+  if (buf.length <= max) return buf;
+  let end = max;
+  while (end > 0 && (buf[end] & 0xc0) === 0x80) end--;
+  return buf.subarray(0, end);
+}
+
+export function buildChpl(chapters) {
+  const sorted = [...chapters].sort((a, b) => a.start - b.start).slice(0, MAX_CHAPTERS);
+  const parts = [Buffer.alloc(4), Buffer.from([sorted.length])];
+  for (const c of sorted) {
+    const time = Buffer.alloc(8);
+    time.writeBigUInt64BE(BigInt(Math.max(0, Math.round(c.start * 1e7))));
+    const title = utf8Prefix(String(c.title || ''), 255);
+    parts.push(time, Buffer.from([title.length]), title);
+  }
+  return fullBox('chpl', 1, 0, ...parts);
+}
+
+// A new udta payload: the old one without meta and (when replaced) chpl, the
+// tags merged into the old ilst
+function buildUdta(oldUdta, { tags = {}, cover = null, chapters = null }) {
+  const keep = [];
+  const items = new Map();
+  if (oldUdta) {
+    for (const child of parseBoxes(oldUdta.buf, oldUdta.start + oldUdta.header, oldUdta.end)) {
+      if (child.type === 'chpl' && chapters && chapters.length) continue;
+      if (child.type !== 'meta') {
+        keep.push(oldUdta.buf.subarray(child.start, child.end));
+        continue;
+      }
+      // Only Apple-style (mdir) metadata is merged; other kinds are replaced
+      const metaKids = parseBoxes(oldUdta.buf, child.start + child.header + 4, child.end);
+      const hdlr = metaKids.find((k) => k.type === 'hdlr');
+      if (!hdlr || fourcc(oldUdta.buf, hdlr.start + hdlr.header + 8) !== 'mdir') continue;
+      const ilst = metaKids.find((k) => k.type === 'ilst');
+      if (!ilst) continue;
+      for (const item of parseBoxes(oldUdta.buf, ilst.start + ilst.header, ilst.end)) {
+        items.set(item.type, oldUdta.buf.subarray(item.start, item.end));
+      }
+    }
+  }
+  for (const [name, value] of Object.entries(tags)) {
+    const atom = TAG_ATOMS[name];
+    if (!atom) throw new Error(`Unknown MP4 tag: ${name}`);
+    if (value == null || value === '') continue;
+    items.set(atom, box(atom, dataBox(DATA_UTF8, Buffer.from(String(value), 'utf8'))));
+  }
+  if (cover) {
+    const type = coverType(cover);
+    if (type) items.set('covr', box('covr', dataBox(type, cover)));
+  }
+
+  const hdlr = fullBox('hdlr', 0, 0, Buffer.alloc(4), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9));
+  const meta = fullBox('meta', 0, 0, hdlr, box('ilst', ...items.values()));
+  const out = [...keep, meta];
+  if (chapters && chapters.length) out.push(buildChpl(chapters));
+  return box('udta', ...out);
+}
+
+// stco/co64 with every offset past `after` moved by `delta`. A 32-bit table
+// whose offsets no longer fit becomes a co64.
+function patchChunkOffsets(buf, b, after, delta) {
+  const at = b.start + b.header;
+  const count = buf.readUInt32BE(at + 4);
+  const wide = b.type === 'co64';
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    const v = wide ? Number(buf.readBigUInt64BE(at + 8 + i * 8)) : buf.readUInt32BE(at + 8 + i * 4);
+    offsets.push(v > after ? v + delta : v);
+  }
+  const toWide = wide || offsets.some((v) => v > 0xffffffff);
+  const table = Buffer.alloc(4 + count * (toWide ? 8 : 4));
+  table.writeUInt32BE(count, 0);
+  offsets.forEach((v, i) => (toWide ? table.writeBigUInt64BE(BigInt(v), 4 + i * 8) : table.writeUInt32BE(v, 4 + i * 4)));
+  return fullBox(toWide ? 'co64' : 'stco', 0, 0, table);
+}
+
+// Rebuilds a container box, replacing udta (in moov) and patching offsets
+function rebuild(buf, b, ctx) {
+  const kids = parseBoxes(buf, b.start + b.header, b.end);
+  const out = [];
+  let udtaDone = false;
+  for (const k of kids) {
+    if (b.type === 'moov' && k.type === 'udta') {
+      if (!udtaDone) out.push(buildUdta({ buf, ...k }, ctx.metadata));
+      udtaDone = true;
+    } else if (k.type === 'stco' || k.type === 'co64') {
+      out.push(patchChunkOffsets(buf, k, ctx.after, ctx.delta));
+    } else if (CONTAINERS.has(k.type) && k.type !== 'udta') {
+      out.push(rebuild(buf, k, ctx));
+    } else {
+      out.push(buf.subarray(k.start, k.end));
+    }
+  }
+  if (b.type === 'moov' && !udtaDone) out.push(buildUdta(null, ctx.metadata));
+  return box(b.type, ...out);
+}
+
+// tfhd with the base-data-offset flag holds an absolute file offset
+function patchFragment(buf, delta) {
+  const walk = (start, end) => {
+    for (const k of parseBoxes(buf, start, end)) {
+      if (k.type === 'traf') walk(k.start + k.header, k.end);
+      if (k.type !== 'tfhd') continue;
+      const at = k.start + k.header;
+      if (buf.readUInt32BE(at) & 0x000001) {
+        buf.writeBigUInt64BE(buf.readBigUInt64BE(at + 8) + BigInt(delta), at + 8);
+      }
+    }
+  };
+  const [moof] = parseBoxes(buf);
+  walk(moof.start + moof.header, moof.end);
+  return buf;
+}
+
+// Writes tags, cover art and chapters into the MP4/M4A at `path`.
+// `metadata`: { tags: { title, artist, albumArtist, album, date, genre,
+// comment, description, longDescription, encoder }, cover: JPEG or PNG
+// Buffer, chapters: [{ start (seconds), title }] }. Tags already in the file
+// and not given are kept. Throws UNSUPPORTED_CONTAINER for files that are not
+// MP4.
+export async function writeMp4Metadata(path, metadata = {}) {
+  const tmp = `${path}.meta.part`;
+  const src = await fs.open(path, 'r');
+  let dst = null;
+  try {
+    await checkMp4(src, path);
+    const top = await readTopLevelBoxes(src);
+    const moovBox = top.find((b) => b.type === 'moov');
+    if (!moovBox) throw codedError('UNSUPPORTED_CONTAINER', `${path} has no movie header (moov)`);
+    const moov = await readBox(src, moovBox);
+    const old = { type: 'moov', start: 0, end: moov.length, header: moovBox.header };
+
+    // The new size decides the shift, and the shift can turn an stco into a
+    // co64 and change the size again: repeat until it settles
+    let delta = 0;
+    let built;
+    for (let i = 0; i < 4; i++) {
+      built = rebuild(moov, old, { metadata, after: moovBox.start, delta });
+      if (built.length - moov.length === delta) break;
+      delta = built.length - moov.length;
+    }
+
+    dst = await fs.open(tmp, 'w');
+    await copyRange(src, dst, 0, moovBox.start);
+    await dst.write(built);
+    for (const b of top.filter((x) => x.start > moovBox.start)) {
+      // mfra indexes fragments by absolute offset; players work without it
+      if (b.type === 'mfra' && delta) continue;
+      if (b.type === 'moof' && delta) await dst.write(patchFragment(await readBox(src, b), delta));
+      else await copyRange(src, dst, b.start, b.end);
+    }
+    await dst.close();
+    dst = null;
+    await src.close();
+    await fs.rename(tmp, path);
+  } catch (e) {
+    if (dst) await dst.close().catch(() => {});
+    await src.close().catch(() => {});
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+// Reads back what writeMp4Metadata writes: { tags, cover, chapters }
+export async function readMp4Metadata(path) {
+  const fh = await fs.open(path, 'r');
+  try {
+    await checkMp4(fh, path);
+    const top = await readTopLevelBoxes(fh);
+    const moovBox = top.find((b) => b.type === 'moov');
+    if (!moovBox) throw codedError('UNSUPPORTED_CONTAINER', `${path} has no movie header (moov)`);
+    const moov = await readBox(fh, moovBox);
+    const result = { tags: {}, cover: null, chapters: [] };
+    const udta = parseBoxes(moov, moovBox.header).find((b) => b.type === 'udta');
+    if (!udta) return result;
+    const names = Object.fromEntries(Object.entries(TAG_ATOMS).map(([k, v]) => [v, k]));
+    for (const child of parseBoxes(moov, udta.start + udta.header, udta.end)) {
+      if (child.type === 'chpl') {
+        const at = child.start + child.header + 8;
+        let p = at + 1;
+        for (let i = 0; i < moov[at]; i++) {
+          const start = Number(moov.readBigUInt64BE(p)) / 1e7;
+          const len = moov[p + 8];
+          result.chapters.push({ start, title: moov.toString('utf8', p + 9, p + 9 + len) });
+          p += 9 + len;
+        }
+      }
+      if (child.type !== 'meta') continue;
+      const ilst = parseBoxes(moov, child.start + child.header + 4, child.end).find((b) => b.type === 'ilst');
+      for (const item of ilst ? parseBoxes(moov, ilst.start + ilst.header, ilst.end) : []) {
+        const data = parseBoxes(moov, item.start + item.header, item.end).find((b) => b.type === 'data');
+        if (!data) continue;
+        const value = moov.subarray(data.start + data.header + 8, data.end);
+        if (item.type === 'covr') result.cover = value;
+        else if (names[item.type]) result.tags[names[item.type]] = value.toString('utf8');
+      }
+    }
+    return result;
+  } finally {
+    await fh.close();
+  }
+}
+
+// Audio extraction, the --audio-only fallback for videos without an audio
+// file: the sound track of an MP4 (progressive, or fragmented as assembled
+// from HLS) is copied sample for sample into a new single-track M4A.
+
+// Sample entries that make a usual .m4a
+const AUDIO_CODECS = new Set(['mp4a', 'Opus']);
+// Chunks of a fragmented source are copied one trun at a time
+const M4A_BRANDS = ['M4A ', 'isom', 'iso2', 'mp41'];
+
+function child(buf, b, type, skip = 0) {
+  return parseBoxes(buf, b.start + b.header + skip, b.end).find((k) => k.type === type) || null;
+}
+
+function childPath(buf, b, path) {
+  let cur = b;
+  for (const type of path) {
+    cur = cur && child(buf, cur, type);
+  }
+  return cur;
+}
+
+function u32Table(values) {
+  const out = Buffer.alloc(4 * values.length);
+  values.forEach((v, i) => out.writeUInt32BE(v >>> 0, i * 4));
+  return out;
+}
+
+// Rewrites the duration field of mvhd, tkhd or mdhd (version 0 or 1)
+function withDuration(buf, b, duration) {
+  const out = Buffer.from(buf.subarray(b.start, b.end));
+  const at = b.header;
+  const v1 = out[at] === 1;
+  // After version/flags and the times: timescale (mvhd, mdhd) or track_ID
+  // and a reserved field (tkhd)
+  const pos = at + 4 + (v1 ? 16 : 8) + (fourcc(out, 4) === 'tkhd' ? 8 : 4);
+  if (v1) out.writeBigUInt64BE(BigInt(duration), pos);
+  else out.writeUInt32BE(Math.min(duration, 0xffffffff), pos);
+  return out;
+}
+
+function timescaleOf(buf, b) {
+  const at = b.start + b.header;
+  return buf.readUInt32BE(at + 4 + (buf[at] === 1 ? 16 : 8));
+}
+
+// Progressive source: chunk offsets and sizes from stco/co64, stsc and stsz
+function progressiveChunks(buf, stbl) {
+  const stsz = child(buf, stbl, 'stsz');
+  const stsc = child(buf, stbl, 'stsc');
+  const stco = child(buf, stbl, 'stco') || child(buf, stbl, 'co64');
+  if (!stsz || !stsc || !stco) throw codedError('UNSUPPORTED_CONTAINER', 'The audio track has no sample table');
+  const zAt = stsz.start + stsz.header;
+  const fixed = buf.readUInt32BE(zAt + 4);
+  const sizeOf = (i) => (fixed || buf.readUInt32BE(zAt + 12 + i * 4));
+  const cAt = stsc.start + stsc.header;
+  const runs = Array.from({ length: buf.readUInt32BE(cAt + 4) }, (_, i) => ({
+    first: buf.readUInt32BE(cAt + 8 + i * 12),
+    perChunk: buf.readUInt32BE(cAt + 12 + i * 12),
+  }));
+  const oAt = stco.start + stco.header;
+  const wide = stco.type === 'co64';
+  const chunks = [];
+  let sample = 0;
+  let run = 0;
+  for (let c = 0; c < buf.readUInt32BE(oAt + 4); c++) {
+    while (run + 1 < runs.length && runs[run + 1].first <= c + 1) run++;
+    const offset = wide ? Number(buf.readBigUInt64BE(oAt + 8 + c * 8)) : buf.readUInt32BE(oAt + 8 + c * 4);
+    let size = 0;
+    for (let k = 0; k < runs[run].perChunk; k++) size += sizeOf(sample++);
+    chunks.push({ offset, size });
+  }
+  return chunks;
+}
+
+// Fragmented source: every trun of the track becomes a chunk. Returns the
+// chunks and the per-sample sizes, durations and composition offsets.
+async function fragmentedSamples(fh, top, buf, moovBox, trackId) {
+  const trex = parseBoxes(buf, moovBox.header)
+    .filter((b) => b.type === 'mvex')
+    .flatMap((mvex) => parseBoxes(buf, mvex.start + mvex.header, mvex.end))
+    .find((b) => b.type === 'trex' && buf.readUInt32BE(b.start + b.header + 4) === trackId);
+  const defaults = trex
+    ? {
+      duration: buf.readUInt32BE(trex.start + trex.header + 12),
+      size: buf.readUInt32BE(trex.start + trex.header + 16),
+    }
+    : { duration: 0, size: 0 };
+
+  const chunks = [];
+  const samples = { sizes: [], durations: [], offsets: [] };
+  for (const m of top.filter((b) => b.type === 'moof')) {
+    const moof = await readBox(fh, m);
+    let prevEnd = m.start;
+    for (const traf of parseBoxes(moof, 8).filter((b) => b.type === 'traf')) {
+      const tfhd = child(moof, traf, 'tfhd');
+      if (!tfhd) continue;
+      let at = tfhd.start + tfhd.header;
+      const flags = moof.readUInt32BE(at) & 0xffffff;
+      if (moof.readUInt32BE(at + 4) !== trackId) continue;
+      at += 8;
+      let base = prevEnd;
+      if (flags & 0x000001) {
+        base = Number(moof.readBigUInt64BE(at));
+        at += 8;
+      } else if (flags & 0x020000) {
+        base = m.start;
+      }
+      if (flags & 0x000002) at += 4;
+      const dflt = { ...defaults };
+      if (flags & 0x000008) {
+        dflt.duration = moof.readUInt32BE(at);
+        at += 4;
+      }
+      if (flags & 0x000010) dflt.size = moof.readUInt32BE(at);
+
+      let next = base;
+      for (const trun of parseBoxes(moof, traf.start + traf.header, traf.end).filter((b) => b.type === 'trun')) {
+        let p = trun.start + trun.header;
+        const version = moof[p];
+        const tf = moof.readUInt32BE(p) & 0xffffff;
+        const count = moof.readUInt32BE(p + 4);
+        p += 8;
+        let offset = next;
+        if (tf & 0x001) {
+          offset = base + moof.readInt32BE(p);
+          p += 4;
+        }
+        if (tf & 0x004) p += 4;
+        let size = 0;
+        for (let i = 0; i < count; i++) {
+          let duration = dflt.duration;
+          let sampleSize = dflt.size;
+          let cto = 0;
+          if (tf & 0x100) {
+            duration = moof.readUInt32BE(p);
+            p += 4;
+          }
+          if (tf & 0x200) {
+            sampleSize = moof.readUInt32BE(p);
+            p += 4;
+          }
+          if (tf & 0x400) p += 4;
+          if (tf & 0x800) {
+            cto = version ? moof.readInt32BE(p) : moof.readUInt32BE(p);
+            p += 4;
+          }
+          samples.sizes.push(sampleSize);
+          samples.durations.push(duration);
+          samples.offsets.push(cto);
+          size += sampleSize;
+        }
+        if (count) chunks.push({ offset, size, count });
+        next = offset + size;
+      }
+      prevEnd = next;
+    }
+  }
+  return { chunks, samples };
+}
+
+// Run-length tables of a fragmented source: stts, ctts, stsc and stsz
+function buildSampleTables({ chunks, samples }) {
+  const runs = (values) => values.reduce((acc, v) => {
+    const last = acc[acc.length - 1];
+    if (last && last.value === v) last.count++;
+    else acc.push({ value: v, count: 1 });
+    return acc;
+  }, []);
+  const boxes = [];
+  const stts = runs(samples.durations);
+  boxes.push(fullBox('stts', 0, 0, u32Table([stts.length, ...stts.flatMap((r) => [r.count, r.value])])));
+  if (samples.offsets.some((v) => v !== 0)) {
+    const ctts = runs(samples.offsets);
+    const signed = samples.offsets.some((v) => v < 0);
+    boxes.push(fullBox('ctts', signed ? 1 : 0, 0, u32Table([ctts.length, ...ctts.flatMap((r) => [r.count, r.value])])));
+  }
+  const stsc = [];
+  chunks.forEach((c, i) => {
+    if (!stsc.length || stsc[stsc.length - 1].perChunk !== c.count) stsc.push({ first: i + 1, perChunk: c.count });
+  });
+  boxes.push(fullBox('stsc', 0, 0, u32Table([stsc.length, ...stsc.flatMap((r) => [r.first, r.perChunk, 1])])));
+  const same = samples.sizes.every((s) => s === samples.sizes[0]);
+  boxes.push(fullBox('stsz', 0, 0, u32Table([same ? samples.sizes[0] || 0 : 0, samples.sizes.length, ...(same ? [] : samples.sizes)])));
+  return boxes;
+}
+
+function chunkOffsetBox(offsets, wide) {
+  const table = Buffer.alloc(4 + offsets.length * (wide ? 8 : 4));
+  table.writeUInt32BE(offsets.length, 0);
+  offsets.forEach((v, i) => (wide ? table.writeBigUInt64BE(BigInt(v), 4 + i * 8) : table.writeUInt32BE(v, 4 + i * 4)));
+  return fullBox(wide ? 'co64' : 'stco', 0, 0, table);
+}
+
+function isSoundTrack(buf, trak) {
+  const hdlr = childPath(buf, trak, ['mdia', 'hdlr']);
+  return !!hdlr && fourcc(buf, hdlr.start + hdlr.header + 8) === 'soun';
+}
+
+// Copies the AAC or Opus track of the MP4 at `srcPath` into a new M4A at
+// `destPath`. Throws NO_FORMAT when the file has no sound track and
+// UNSUPPORTED_CONTAINER for files that are not MP4 or another audio codec.
+// Resolves with { codec, bytes }.
+export async function extractAudioTrack(srcPath, destPath) {
+  const tmp = `${destPath}.part`;
+  const src = await fs.open(srcPath, 'r');
+  let dst = null;
+  try {
+    await checkMp4(src, srcPath);
+    const top = await readTopLevelBoxes(src);
+    const moovBox = top.find((b) => b.type === 'moov');
+    if (!moovBox) throw codedError('UNSUPPORTED_CONTAINER', `${srcPath} has no movie header (moov)`);
+    const buf = await readBox(src, moovBox);
+    const moov = { type: 'moov', start: 0, end: buf.length, header: moovBox.header };
+    const kids = parseBoxes(buf, moov.header);
+    const trak = kids.find((b) => b.type === 'trak' && isSoundTrack(buf, b));
+    if (!trak) throw codedError('NO_FORMAT', 'The video has no audio track');
+
+    const mvhd = kids.find((b) => b.type === 'mvhd');
+    const tkhd = child(buf, trak, 'tkhd');
+    const mdia = child(buf, trak, 'mdia');
+    const mdhd = child(buf, mdia, 'mdhd');
+    const minf = child(buf, mdia, 'minf');
+    const stbl = child(buf, minf, 'stbl');
+    const stsd = stbl && child(buf, stbl, 'stsd');
+    if (!mvhd || !tkhd || !mdhd || !stsd) throw codedError('UNSUPPORTED_CONTAINER', 'The audio track is incomplete');
+    const codec = fourcc(buf, stsd.start + stsd.header + 12);
+    if (!AUDIO_CODECS.has(codec)) throw codedError('UNSUPPORTED_CONTAINER', `Audio codec ${codec.trim()} cannot be saved as M4A`);
+    const tAt = tkhd.start + tkhd.header;
+    const trackId = buf.readUInt32BE(tAt + 4 + (buf[tAt] === 1 ? 16 : 8));
+    const movieScale = timescaleOf(buf, mvhd);
+    const mediaScale = timescaleOf(buf, mdhd);
+
+    const stsz = child(buf, stbl, 'stsz');
+    if (!stsz) throw codedError('UNSUPPORTED_CONTAINER', 'The audio track has no sample sizes (stsz)');
+    const sampleCount = buf.readUInt32BE(stsz.start + stsz.header + 8);
+    let chunks;
+    let tables;
+    let mediaDuration = null;
+    if (sampleCount) {
+      chunks = progressiveChunks(buf, stbl);
+      // Keep every table but the chunk offsets as it is
+      tables = parseBoxes(buf, stbl.start + stbl.header, stbl.end)
+        .filter((b) => b.type !== 'stsd' && b.type !== 'stco' && b.type !== 'co64')
+        .map((b) => buf.subarray(b.start, b.end));
+    } else {
+      const frag = await fragmentedSamples(src, top, buf, moovBox, trackId);
+      if (!frag.chunks.length) throw codedError('NO_FORMAT', 'The audio track has no samples');
+      chunks = frag.chunks;
+      tables = buildSampleTables(frag);
+      mediaDuration = frag.samples.durations.reduce((a, b) => a + b, 0);
+    }
+    const dataSize = chunks.reduce((a, c) => a + c.size, 0);
+    const wide = dataSize > 0xf0000000;
+
+    // Durations: as they are for a progressive source, computed for a
+    // fragmented one (whose moov says 0)
+    let trakBoxes;
+    let movieDuration;
+    if (mediaDuration == null) {
+      movieDuration = null;
+      trakBoxes = { tkhd: buf.subarray(tkhd.start, tkhd.end), mdhd: buf.subarray(mdhd.start, mdhd.end) };
+    } else {
+      movieDuration = Math.round((mediaDuration * movieScale) / mediaScale);
+      trakBoxes = { tkhd: withDuration(buf, tkhd, movieDuration), mdhd: withDuration(buf, mdhd, mediaDuration) };
+    }
+    const edts = child(buf, trak, 'edts');
+    let edtsBox = edts ? buf.subarray(edts.start, edts.end) : null;
+    if (edts && movieDuration != null) {
+      // Edit lists of fragmented files say 0 for "until the end"
+      edtsBox = Buffer.from(edtsBox);
+      const elst = child(edtsBox, { start: 0, end: edtsBox.length, header: 8 }, 'elst');
+      if (elst) {
+        let p = elst.start + elst.header;
+        const v1 = edtsBox[p] === 1;
+        const n = edtsBox.readUInt32BE(p + 4);
+        p += 8;
+        for (let i = 0; i < n; i++, p += v1 ? 20 : 12) {
+          const segment = v1 ? Number(edtsBox.readBigUInt64BE(p)) : edtsBox.readUInt32BE(p);
+          const mediaTime = v1 ? Number(edtsBox.readBigInt64BE(p + 8)) : edtsBox.readInt32BE(p + 4);
+          if (segment) continue;
+          const rest = Math.max(0, movieDuration - Math.round((Math.max(0, mediaTime) * movieScale) / mediaScale));
+          if (v1) edtsBox.writeBigUInt64BE(BigInt(rest), p);
+          else edtsBox.writeUInt32BE(rest, p);
+        }
+      }
+    }
+
+    const buildMoov = (dataStart) => {
+      let at = dataStart;
+      const offsets = chunks.map((c) => {
+        const o = at;
+        at += c.size;
+        return o;
+      });
+      const stblOut = box('stbl', buf.subarray(stsd.start, stsd.end), ...tables, chunkOffsetBox(offsets, wide));
+      const minfKids = parseBoxes(buf, minf.start + minf.header, minf.end)
+        .map((b) => (b.type === 'stbl' ? stblOut : buf.subarray(b.start, b.end)));
+      const mdiaKids = parseBoxes(buf, mdia.start + mdia.header, mdia.end)
+        .map((b) => (b.type === 'minf' ? box('minf', ...minfKids) : b.type === 'mdhd' ? trakBoxes.mdhd : buf.subarray(b.start, b.end)));
+      const trakOut = box('trak', trakBoxes.tkhd, ...(edtsBox ? [edtsBox] : []), box('mdia', ...mdiaKids));
+      // mvhd: the movie is now this one track, whose ID is the last one used
+      const mvhdOut = movieDuration == null ? Buffer.from(buf.subarray(mvhd.start, mvhd.end)) : withDuration(buf, mvhd, movieDuration);
+      mvhdOut.writeUInt32BE(trackId + 1, mvhdOut.length - 4);
+      const udta = kids.find((b) => b.type === 'udta');
+      return box('moov', mvhdOut, trakOut, ...(udta ? [buf.subarray(udta.start, udta.end)] : []));
+    };
+
+    const ftyp = box('ftyp', Buffer.from(M4A_BRANDS[0], 'latin1'), u32Table([0x200]), Buffer.from(M4A_BRANDS.join(''), 'latin1'));
+    const large = dataSize + 8 > 0xffffffff;
+    const mdatHeader = Buffer.alloc(large ? 16 : 8);
+    if (large) {
+      mdatHeader.writeUInt32BE(1, 0);
+      mdatHeader.writeBigUInt64BE(BigInt(dataSize + 16), 8);
+    } else {
+      mdatHeader.writeUInt32BE(dataSize + 8, 0);
+    }
+    mdatHeader.write('mdat', 4, 'latin1');
+    // The moov size does not depend on the offset values, only on their count
+    const moovLength = buildMoov(0).length;
+    const moovOut = buildMoov(ftyp.length + moovLength + mdatHeader.length);
+
+    dst = await fs.open(tmp, 'w');
+    await dst.write(Buffer.concat([ftyp, moovOut, mdatHeader]));
+    for (const c of chunks) await copyRange(src, dst, c.offset, c.offset + c.size);
+    await dst.close();
+    dst = null;
+    await src.close();
+    await fs.rename(tmp, destPath);
+    return { codec, bytes: ftyp.length + moovOut.length + mdatHeader.length + dataSize };
+  } catch (e) {
+    if (dst) await dst.close().catch(() => {});
+    await src.close().catch(() => {});
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+// Muxing for HLS with separate audio: the assembled video and audio playlists
+// (both fragmented MP4) become one file. The audio track joins the video's
+// moov under a free track ID and its fragments follow the video's.
+
+function trackIdOf(buf, trak) {
+  const tkhd = child(buf, trak, 'tkhd');
+  const at = tkhd.start + tkhd.header;
+  return { at: at + 4 + (buf[at] === 1 ? 16 : 8), id: buf.readUInt32BE(at + 4 + (buf[at] === 1 ? 16 : 8)) };
+}
+
+// tkhd durations and edit list segments count in the movie timescale
+function rescaleTrak(trakBuf, from, to) {
+  const out = Buffer.from(trakBuf);
+  if (from === to) return out;
+  const scale = (v) => Math.round((v * to) / from);
+  const whole = { start: 0, end: out.length, header: 8 };
+  const tkhd = child(out, whole, 'tkhd');
+  const tAt = tkhd.start + tkhd.header;
+  const dAt = tAt + 4 + (out[tAt] === 1 ? 24 : 16);
+  if (out[tAt] === 1) out.writeBigUInt64BE(BigInt(scale(Number(out.readBigUInt64BE(dAt)))), dAt);
+  else out.writeUInt32BE(Math.min(scale(out.readUInt32BE(dAt)), 0xffffffff), dAt);
+  const elst = childPath(out, whole, ['edts', 'elst']);
+  if (elst) {
+    let p = elst.start + elst.header;
+    const v1 = out[p] === 1;
+    const n = out.readUInt32BE(p + 4);
+    p += 8;
+    for (let i = 0; i < n; i++, p += v1 ? 20 : 12) {
+      if (v1) out.writeBigUInt64BE(BigInt(scale(Number(out.readBigUInt64BE(p)))), p);
+      else out.writeUInt32BE(Math.min(scale(out.readUInt32BE(p)), 0xffffffff), p);
+    }
+  }
+  return out;
+}
+
+// Gives the tfhd boxes of `fromId` in a moof the track ID `toId`
+function retrackFragment(buf, fromId, toId) {
+  const [moof] = parseBoxes(buf);
+  for (const traf of parseBoxes(buf, moof.start + moof.header, moof.end).filter((b) => b.type === 'traf')) {
+    const tfhd = child(buf, traf, 'tfhd');
+    if (tfhd && buf.readUInt32BE(tfhd.start + tfhd.header + 4) === fromId) buf.writeUInt32BE(toId, tfhd.start + tfhd.header + 4);
+  }
+  return buf;
+}
+
+async function openFragmented(path) {
+  const fh = await fs.open(path, 'r');
+  try {
+    await checkMp4(fh, path);
+    const top = await readTopLevelBoxes(fh);
+    const moovBox = top.find((b) => b.type === 'moov');
+    if (!moovBox) throw codedError('UNSUPPORTED_CONTAINER', `${path} has no movie header (moov)`);
+    const buf = await readBox(fh, moovBox);
+    const kids = parseBoxes(buf, moovBox.header);
+    if (!kids.some((b) => b.type === 'mvex')) throw codedError('UNSUPPORTED_STREAM', `${path} is not a fragmented MP4`);
+    return { fh, top, moovBox, buf, kids };
+  } catch (e) {
+    await fh.close();
+    throw e;
+  }
+}
+
+// Writes `destPath` with the tracks of the fragmented MP4 at `videoPath` and
+// the sound track of the one at `audioPath`. Resolves with { bytes }.
+export async function muxFragmented(videoPath, audioPath, destPath) {
+  const tmp = `${destPath}.part`;
+  const v = await openFragmented(videoPath);
+  let a = null;
+  let dst = null;
+  try {
+    a = await openFragmented(audioPath);
+    const aTrak = a.kids.find((b) => b.type === 'trak' && isSoundTrack(a.buf, b));
+    if (!aTrak) throw codedError('NO_FORMAT', 'The audio playlist has no sound track');
+    const vMvhd = v.kids.find((b) => b.type === 'mvhd');
+    const aMvhd = a.kids.find((b) => b.type === 'mvhd');
+    const vTraks = v.kids.filter((b) => b.type === 'trak');
+    if (!vMvhd || !aMvhd || !vTraks.length) throw codedError('UNSUPPORTED_CONTAINER', 'The HLS tracks are incomplete');
+
+    const mvhdOut = Buffer.from(v.buf.subarray(vMvhd.start, vMvhd.end));
+    const fromId = trackIdOf(a.buf, aTrak).id;
+    const toId = Math.max(mvhdOut.readUInt32BE(mvhdOut.length - 4) - 1, ...vTraks.map((t) => trackIdOf(v.buf, t).id)) + 1;
+    mvhdOut.writeUInt32BE(toId + 1, mvhdOut.length - 4);
+
+    const trakOut = rescaleTrak(a.buf.subarray(aTrak.start, aTrak.end), timescaleOf(a.buf, aMvhd), timescaleOf(v.buf, vMvhd));
+    trakOut.writeUInt32BE(toId, trackIdOf(trakOut, { start: 0, end: trakOut.length, header: 8 }).at);
+    const aTrex = a.kids
+      .filter((b) => b.type === 'mvex')
+      .flatMap((mvex) => parseBoxes(a.buf, mvex.start + mvex.header, mvex.end))
+      .find((b) => b.type === 'trex' && a.buf.readUInt32BE(b.start + b.header + 4) === fromId);
+    if (!aTrex) throw codedError('UNSUPPORTED_CONTAINER', 'The audio track has no fragment defaults (trex)');
+    const trexOut = Buffer.from(a.buf.subarray(aTrex.start, aTrex.end));
+    trexOut.writeUInt32BE(toId, aTrex.header + 4);
+
+    const lastTrak = vTraks[vTraks.length - 1];
+    const moovKids = [];
+    for (const k of v.kids) {
+      if (k.type === 'mvhd') moovKids.push(mvhdOut);
+      else if (k.type === 'mvex') moovKids.push(box('mvex', v.buf.subarray(k.start + k.header, k.end), trexOut));
+      else moovKids.push(v.buf.subarray(k.start, k.end));
+      if (k === lastTrak) moovKids.push(trakOut);
+    }
+    const moovOut = box('moov', ...moovKids);
+
+    // sidx covers one track and mfra holds old offsets; both are optional
+    const fragments = (f) => f.top.filter((b) => b.start > f.moovBox.start && b.type !== 'sidx' && b.type !== 'mfra');
+    dst = await fs.open(tmp, 'w');
+    const ftyp = v.top.find((b) => b.type === 'ftyp');
+    await copyRange(v.fh, dst, ftyp.start, ftyp.end);
+    await dst.write(moovOut);
+    let pos = (ftyp.end - ftyp.start) + moovOut.length;
+    for (const [f, retrack] of [[v, false], [a, true]]) {
+      for (const b of fragments(f)) {
+        if (b.type === 'moof') {
+          const buf = patchFragment(await readBox(f.fh, b), pos - b.start);
+          await dst.write(retrack ? retrackFragment(buf, fromId, toId) : buf);
+        } else {
+          await copyRange(f.fh, dst, b.start, b.end);
+        }
+        pos += b.end - b.start;
+      }
+    }
+    await dst.close();
+    dst = null;
+    await fs.rename(tmp, destPath);
+    return { bytes: pos };
+  } catch (e) {
+    if (dst) await dst.close().catch(() => {});
+    await fs.rm(tmp, { force: true });
+    throw e;
+  } finally {
+    await v.fh.close().catch(() => {});
+    if (a) await a.fh.close().catch(() => {});
+  }
+}
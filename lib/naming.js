@@ -0,0 +1,144 @@
+import { promises as fs } from 'node:fs';
+import { dirname, extname, basename, join } from 'node:path';
+
+// Output naming: filename sanitizing, output templates such as
+// "{channel}/{published:YYYY-MM-DD} - {title} [{uuid}].{ext}" and the
+// policy for names that already exist. The web UI gets its file names from the
+// server, so these rules apply there too.
+
+export function sanitizeName(name) {
+  const base = (name || '').toString().trim() || 'video';
+  // Remove unsafe characters; leading dots would hide the file (or mean "..")
+  const safe = base
+    .replace(/[\\/:*?"<>|\u0000-\u001F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .slice(0, 120)
+    .trim()
+    .replace(/^\.+/, '')
+    .trim();
+  return safe || 'video';
+}
+
+// ASCII-only variant for --restrict-filenames: accents are dropped, spaces
+// become underscores and anything else outside [A-Za-z0-9._-] becomes '_'
+export function restrictName(name) {
+  const ascii = sanitizeName(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[_.]+|_+$/g, '');
+  return ascii || 'video';
+}
+
+function formatDate(value, fmt) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(d.getUTCFullYear()),
+    MM: pad(d.getUTCMonth() + 1),
+    DD: pad(d.getUTCDate()),
+    HH: pad(d.getUTCHours()),
+    mm: pad(d.getUTCMinutes()),
+    ss: pad(d.getUTCSeconds()),
+  };
+  return fmt.replace(/YYYY|MM|DD|HH|mm|ss/g, (t) => parts[t]);
+}
+
+// Values available to output templates. `chosen` is the selected candidate,
+// `source` is { host, txid } as returned by resolveInput.
+export function templateFields(meta, chosen, ext, source = {}) {
+  const channel = meta.channel || {};
+  const account = meta.account || {};
+  const bareHost = (h) => (h ? String(h).replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '') : null);
+  return {
+    title: meta.name || meta.title || null,
+    id: meta.uuid || null,
+    uuid: meta.uuid || null,
+    short_uuid: meta.shortUUID || null,
+    channel: channel.displayName || channel.name || null,
+    channel_id: channel.name || null,
+    account: account.displayName || account.name || null,
+    account_id: account.name || null,
+    host: bareHost(channel.host || account.host || source.host),
+    published: meta.publishedAt || null,
+    originally_published: meta.originallyPublishedAt || meta.publishedAt || null,
+    duration: meta.duration != null ? meta.duration : null,
+    category: (meta.category && meta.category.label) || null,
+    language: (meta.language && meta.language.id) || null,
+    height: chosen && chosen.height ? chosen.height : null,
+    fps: chosen && chosen.fps ? chosen.fps : null,
+    txid: source.txid || null,
+    ext: ext ? ext.replace(/^\./, '') : null,
+  };
+}
+
+export function isOutputTemplate(s) {
+  return /\{[a-z_]+(?::[^}]*)?\}/.test(String(s || ''));
+}
+
+const DATE_FIELDS = new Set(['published', 'originally_published']);
+
+// Renders a template into a relative or absolute path. Every field value is
+// sanitized on its own, so values can never add directories; '/' in the
+// template itself separates directories. Unknown or empty fields render as
+// "NA", "{{" and "}}" are literal braces.
+export function renderOutputTemplate(template, fields, opts = {}) {
+  const clean = opts.restrict ? restrictName : sanitizeName;
+  return String(template).replace(/\{\{|\}\}|\{([a-z_]+)(?::([^}]*))?\}/g, (m, key, fmt) => {
+    if (m === '{{') return '{';
+    if (m === '}}') return '}';
+    let v = fields[key];
+    if (v != null && DATE_FIELDS.has(key)) v = formatDate(v, fmt || 'YYYY-MM-DD');
+    else if (fmt) return m; // only dates take a format
+    if (v == null || v === '') return 'NA';
+    // Keep extensions and numbers exactly as they are
+    if (key === 'ext' || typeof v === 'number') return String(v);
+    return clean(v);
+  });
+}
+
+// Paths claimed by downloads running in this process. Parallel downloads of
+// two videos with the same name would otherwise share one .part file.
+const reserved = new Set();
+
+// Claims `path` for a download; false when another one holds it. Release it
+// with releasePath once the download is over, whatever the outcome.
+export function reservePath(path) {
+  if (reserved.has(path)) return false;
+  reserved.add(path);
+  return true;
+}
+
+export function releasePath(path) {
+  if (path) reserved.delete(path);
+}
+
+// Applies the collision policy to a target path:
+//   overwrite  use the path as is
+//   skip       return null when the path exists
+//   number     append " (1)", " (2)", ... before the extension until free
+// With `reserve`, a path reserved by a running download counts as existing
+// (even under overwrite, which then numbers it) and the returned path is
+// reserved for the caller (see reservePath).
+export async function resolveCollision(path, policy = 'skip', opts = {}) {
+  const { reserve = false } = opts;
+  if (!['overwrite', 'skip', 'number'].includes(policy)) throw new Error(`Unknown collision policy: ${policy}`);
+  // The reservation is checked again after the await so two callers never get the same path
+  const claim = async (p, checkDisk) => {
+    if (reserve && reserved.has(p)) return false;
+    if (checkDisk && (await fs.stat(p).catch(() => null))) return false;
+    return !reserve || reservePath(p);
+  };
+  if (await claim(path, policy !== 'overwrite')) return path;
+  if (policy === 'skip') return null;
+  if (policy === 'overwrite' && !reserve) return path;
+  const ext = extname(path);
+  const stem = basename(path, ext);
+  for (let n = 1; ; n++) {
+    const candidate = join(dirname(path), `${stem} (${n})${ext}`);
+    if (await claim(candidate, true)) return candidate;
+  }
+}
@@ -0,0 +1,93 @@
+// Small HTTP helpers shared by the downloaders.
+
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+]);
+
+export function isRetryable(e) {
+  if (!e) return false;
+  if (e.retryable) return true;
+  const code = e.code || (e.cause && e.cause.code);
+  if (code && RETRYABLE_CODES.has(code)) return true;
+  // undici reports dropped connections as TypeError('terminated' / 'fetch failed')
+  return e.name === 'TypeError' && /terminated|fetch failed|other side closed/i.test(e.message || '');
+}
+
+// Every request to a video host goes through httpFetch. The web server swaps
+// in a fetch that refuses private addresses (web/proxy-guard.mjs); null
+// restores the global fetch.
+let fetchImpl = null;
+
+export function setFetch(fn) {
+  fetchImpl = fn || null;
+}
+
+export function httpFetch(url, init) {
+  return (fetchImpl || fetch)(url, init);
+}
+
+export function sleep(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+export function parseContentRange(v) {
+  // bytes <start>-<end>/<total|*>  or  bytes */<total>
+  const m = /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i.exec((v || '').trim());
+  if (!m) return null;
+  return {
+    start: m[1] != null ? Number(m[1]) : null,
+    end: m[2] != null ? Number(m[2]) : null,
+    total: m[3] === '*' ? null : Number(m[3]),
+  };
+}
+
+// Validators describe the remote file the .part was started from. Weak ETags
+// cannot be used with If-Range, so Last-Modified is used instead in that case.
+export function pickValidator(v) {
+  if (!v) return null;
+  if (v.etag && !v.etag.startsWith('W/')) return v.etag;
+  return v.lastModified || null;
+}
+
+export function sameRemoteFile(saved, r) {
+  const etag = r.headers.get('etag');
+  const lastModified = r.headers.get('last-modified');
+  if (saved.etag && etag && saved.etag !== etag) return false;
+  if (saved.lastModified && lastModified && saved.lastModified !== lastModified) return false;
+  return true;
+}
+
+// A retry allowance several withRetries calls can share, so that together they
+// retry at most `max` times
+export function retryBudget(max) {
+  return { max, used: 0 };
+}
+
+// Runs fn until it succeeds, retrying retryable failures with exponential
+// backoff, or after `retryAfter` ms when the server said how long to wait (429).
+// `retries` is a count or a shared retryBudget(). Nothing is printed:
+// `onRetry(error, delay, attempt)` hears about each retry before the wait,
+// `attempt` counting from 1 across the budget.
+export async function withRetries(fn, retries, opts = {}) {
+  const { onRetry = null } = opts;
+  const budget = retries && typeof retries === 'object' ? retries : retryBudget(retries);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (budget.used >= budget.max || !isRetryable(e)) throw e;
+      const n = budget.used++;
+      const delay = e.retryAfter != null ? e.retryAfter : Math.min(30000, 1000 * 2 ** n);
+      if (onRetry) onRetry(e, delay, n + 1);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,232 @@
+import { promises as fs } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { codedError } from './errors.js';
+import { politeFetch } from './throttle.js';
+
+// PeerTube logins for private, internal and password-protected videos.
+//
+// `bvd login <instance>` runs PeerTube's OAuth password flow
+// (/api/v1/oauth-clients/local, then /api/v1/users/token) and keeps the tokens
+// per host in a JSON file readable only by its owner. Metadata requests to a
+// host carry its access token, refreshed with the refresh token when it runs
+// out. Files are fetched with a short-lived video file token instead (see
+// fetchVideoMeta), so they also work from object storage on another host.
+
+// Refresh this long before the access token expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// BVD_TOKENS_FILE, else $XDG_CONFIG_HOME/bvd/tokens.json, else ~/.config/bvd/tokens.json
+export function defaultTokensFile() {
+  if (process.env.BVD_TOKENS_FILE) return process.env.BVD_TOKENS_FILE;
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'bvd', 'tokens.json');
+}
+
+// "https://videos.example/", "videos.example" -> "videos.example"
+export function hostKey(host) {
+  return String(host || '').replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+// The token file: { [host]: { username, clientId, clientSecret, accessToken,
+// refreshToken, expiresAt, refreshExpiresAt } }, times in ms since the epoch.
+// Every call reads the file again so a login in another process is seen.
+export function createTokenStore(opts = {}) {
+  const { file = defaultTokensFile() } = opts;
+
+  const readAll = async () => {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return {};
+      throw e;
+    }
+  };
+  // Written through a temporary file created 0600, so the tokens are never
+  // readable by others, not even for a moment
+  const writeAll = async (data) => {
+    await fs.mkdir(dirname(file), { recursive: true, mode: 0o700 });
+    const tmp = `${file}.${randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.rm(tmp).catch(() => {});
+      throw e;
+    }
+  };
+
+  return {
+    file,
+
+    async get(host) {
+      return (await readAll())[hostKey(host)] || null;
+    },
+
+    async set(host, entry) {
+      const data = await readAll();
+      data[hostKey(host)] = entry;
+      await writeAll(data);
+    },
+
+    // Resolves false when there was no login for the host
+    async remove(host) {
+      const data = await readAll();
+      if (!data[hostKey(host)]) return false;
+      delete data[hostKey(host)];
+      await writeAll(data);
+      return true;
+    },
+
+    async hosts() {
+      return Object.keys(await readAll()).sort();
+    },
+  };
+}
+
+let defaultStore = null;
+
+export function getDefaultTokenStore() {
+  if (!defaultStore) defaultStore = createTokenStore();
+  return defaultStore;
+}
+
+export function setDefaultTokenStore(store) {
+  defaultStore = store;
+}
+
+function baseUrl(host) {
+  return `https://${hostKey(host)}`;
+}
+
+async function readError(r) {
+  const text = await r.text().catch(() => '');
+  try {
+    const j = JSON.parse(text);
+    return { message: j.detail || j.error || j.message || text, code: j.code || null };
+  } catch {
+    return { message: text || r.statusText, code: null };
+  }
+}
+
+// POSTs an OAuth form to /api/v1/users/token and turns the answer into a
+// token store entry
+async function requestToken(host, form, extraHeaders = {}) {
+  const r = await politeFetch(`${baseUrl(host)}/api/v1/users/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json', ...extraHeaders },
+    body: new URLSearchParams(form).toString(),
+  });
+  if (!r.ok) {
+    const { message } = await readError(r);
+    const otp = r.headers.get('x-peertube-otp');
+    throw codedError('LOGIN_FAILED', `${hostKey(host)} refused the login (${r.status}): ${message}`, {
+      status: r.status,
+      otpRequired: !!(otp && otp.startsWith('required')),
+    });
+  }
+  const t = await r.json();
+  const now = Date.now();
+  return {
+    accessToken: t.access_token,
+    refreshToken: t.refresh_token,
+    expiresAt: now + (Number(t.expires_in) || 3600) * 1000,
+    refreshExpiresAt: t.refresh_token_expires_in ? now + Number(t.refresh_token_expires_in) * 1000 : null,
+  };
+}
+
+// Logs in with a PeerTube user name and password and stores the tokens.
+// `otp` is the two-factor code; without it a user with two-factor auth gets
+// a LOGIN_FAILED error with `otpRequired` set.
+export async function peertubeLogin(host, opts = {}) {
+  const { username, password, otp = null, store = getDefaultTokenStore() } = opts;
+  if (!hostKey(host)) throw codedError('BAD_INPUT', 'Missing PeerTube instance');
+  const r = await politeFetch(`${baseUrl(host)}/api/v1/oauth-clients/local`, { headers: { Accept: 'application/json' } });
+  if (!r.ok) {
+    const { message } = await readError(r);
+    throw codedError('LOGIN_FAILED', `${hostKey(host)} does not offer a login (${r.status}): ${message}`);
+  }
+  const client = await r.json();
+  const tokens = await requestToken(host, {
+    client_id: client.client_id,
+    client_secret: client.client_secret,
+    grant_type: 'password',
+    response_type: 'code',
+    username,
+    password,
+  }, otp ? { 'x-peertube-otp': otp } : {});
+  const entry = { username, clientId: client.client_id, clientSecret: client.client_secret, ...tokens };
+  await store.set(host, entry);
+  return { host: hostKey(host), username, expiresAt: entry.expiresAt };
+}
+
+// Revokes the access token on the instance (best effort) and forgets the
+// login. Resolves false when there was none.
+export async function peertubeLogout(host, opts = {}) {
+  const { store = getDefaultTokenStore() } = opts;
+  const entry = await store.get(host);
+  if (!entry) return false;
+  await politeFetch(`${baseUrl(host)}/api/v1/users/revoke-token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${entry.accessToken}` },
+  }).catch(() => {});
+  return store.remove(host);
+}
+
+// Parallel requests to one host share a single refresh
+const refreshing = new Map();
+
+async function refresh(host, entry, store) {
+  const key = hostKey(host);
+  if (!refreshing.has(key)) {
+    const run = (async () => {
+      if (entry.refreshExpiresAt && entry.refreshExpiresAt <= Date.now()) {
+        throw codedError('LOGIN_EXPIRED', `The login for ${key} has expired; run bvd login ${key} again`);
+      }
+      let tokens;
+      try {
+        tokens = await requestToken(host, {
+          client_id: entry.clientId,
+          client_secret: entry.clientSecret,
+          grant_type: 'refresh_token',
+          refresh_token: entry.refreshToken,
+        });
+      } catch (e) {
+        if (e.code !== 'LOGIN_FAILED') throw e;
+        throw codedError('LOGIN_EXPIRED', `The login for ${key} is no longer valid; run bvd login ${key} again`);
+      }
+      const fresh = { ...entry, ...tokens };
+      await store.set(host, fresh);
+      return fresh;
+    })();
+    refreshing.set(key, run);
+    run.finally(() => refreshing.delete(key)).catch(() => {});
+  }
+  return refreshing.get(key);
+}
+
+// Headers for an API request to `host`: the stored access token (refreshed
+// when needed) and, when given, the video password. Empty without a login.
+// A login that can no longer be refreshed goes to `onAuthExpired(error)` (a
+// LOGIN_EXPIRED error) and the request goes out anonymously: public videos
+// keep working, and a private one fails with VIDEO_PRIVATE and its bvd login
+// hint.
+export async function peertubeHeaders(host, opts = {}) {
+  const { password = null, store = getDefaultTokenStore(), onAuthExpired = null } = opts;
+  const headers = {};
+  if (password) headers['x-peertube-video-password'] = password;
+  let entry = await store.get(host);
+  if (!entry) return headers;
+  if (!entry.expiresAt || entry.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+    try {
+      entry = await refresh(host, entry, store);
+    } catch (e) {
+      if (e.code !== 'LOGIN_EXPIRED') throw e;
+      if (onAuthExpired) onAuthExpired(e);
+      return headers;
+    }
+  }
+  headers.Authorization = `Bearer ${entry.accessToken}`;
+  return headers;
+}
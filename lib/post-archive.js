@@ -0,0 +1,175 @@
+import { sanitizeName, restrictName, renderOutputTemplate, templateFields } from './naming.js';
+
+// Builders for --archive-post: a Bastyon post with its text, tags, author,
+// images and comment thread as <base>.post.json and <base>.post.md, the
+// images in <base>.post-images/. Fetching is in lib/index.js
+// (fetchBastyonPost, writePostArchive); this file only shapes the data.
+
+// Bastyon clients URL-encode post and comment text; older posts are plain
+export function decodeField(v) {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  try {
+    return decodeURIComponent(s.replace(/\+/g, '%20'));
+  } catch {
+    return s;
+  }
+}
+
+function isoTime(sec) {
+  const n = Number(sec);
+  return n > 0 ? new Date(n * 1000).toISOString() : null;
+}
+
+function authorOf(address, profiles) {
+  const p = (address && profiles[address]) || {};
+  return {
+    address: address || null,
+    name: decodeField(p.name),
+    avatar: decodeField(p.i) || null,
+    url: p.name ? `https://bastyon.com/${encodeURIComponent(decodeField(p.name))}` : address ? `https://bastyon.com/author?address=${address}` : null,
+  };
+}
+
+function decodeList(v) {
+  let list = v;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [list];
+    }
+  }
+  return Array.isArray(list) ? list.map(decodeField).filter(Boolean) : [];
+}
+
+// The post as the node's getrawtransactionwithmessagebyid returns it, made
+// readable. `profiles` maps addresses to getuserprofile entries.
+export function normalizePost(raw, profiles = {}) {
+  return {
+    txid: raw.txid,
+    url: `https://bastyon.com/post?s=${raw.txid}`,
+    type: raw.type || null,
+    author: authorOf(raw.address, profiles),
+    publishedAt: isoTime(raw.time),
+    editedAt: raw.edit === true || raw.edit === 'true' ? isoTime(raw.timeUpd) : null,
+    language: raw.l || null,
+    caption: decodeField(raw.c),
+    message: decodeField(raw.m),
+    tags: decodeList(raw.t),
+    images: decodeList(raw.i).map((url) => ({ url, file: null, error: null })),
+    linkedUrl: decodeField(raw.u),
+    score: raw.scoreCnt != null ? { sum: Number(raw.scoreSum) || 0, count: Number(raw.scoreCnt) || 0 } : null,
+    commentCount: raw.comments != null ? Number(raw.comments) || 0 : null,
+  };
+}
+
+// One getcomments entry; `msg` is a JSON string { message, url, images }
+export function normalizeComment(raw, profiles = {}) {
+  let msg = {};
+  try {
+    msg = typeof raw.msg === 'string' ? JSON.parse(raw.msg) : raw.msg || {};
+  } catch {
+    msg = { message: raw.msg };
+  }
+  const deleted = !!raw.deleted;
+  return {
+    id: raw.id,
+    parentId: raw.parentid || null,
+    answerId: raw.answerid || null,
+    author: authorOf(raw.address, profiles),
+    publishedAt: isoTime(raw.time),
+    editedAt: raw.edit === true || raw.edit === 'true' ? isoTime(raw.timeUpd) : null,
+    deleted,
+    message: deleted ? null : decodeField(msg.message),
+    url: deleted ? null : decodeField(msg.url),
+    images: deleted ? [] : decodeList(msg.images),
+    score: { up: Number(raw.scoreUp) || 0, down: Number(raw.scoreDown) || 0 },
+    replies: [],
+  };
+}
+
+export function buildPostJson(post) {
+  return JSON.stringify(post, null, 2) + '\n';
+}
+
+function mdEscape(s) {
+  return String(s).replace(/([\\`*_[\]<>#])/g, '\\$1');
+}
+
+function authorLabel(a) {
+  if (!a) return 'unknown';
+  const name = a.name ? mdEscape(a.name) : a.address || 'unknown';
+  return a.url ? `[${name}](${a.url})` : name;
+}
+
+// Continuation lines of a list item are indented to stay inside it
+function indentBlock(text, pad) {
+  return text.split(/\r?\n/).join(`\n${pad}`);
+}
+
+function commentLines(c, depth, byId) {
+  const pad = '  '.repeat(depth);
+  const when = c.publishedAt ? ` (${c.publishedAt.replace('T', ' ').slice(0, 16)} UTC)` : '';
+  const to = c.answerId && byId.get(c.answerId) && depth > 0 ? ` → ${authorLabel(byId.get(c.answerId).author)}` : '';
+  const body = c.deleted ? '_deleted_' : indentBlock(c.message || '', `${pad}  `);
+  const lines = [`${pad}- **${authorLabel(c.author)}**${to}${when}: ${body}`];
+  if (c.url) lines.push(`${pad}  ${c.url}`);
+  for (const img of c.images) lines.push(`${pad}  ![image](${img})`);
+  for (const r of c.replies) lines.push(...commentLines(r, depth + 1, byId));
+  return lines;
+}
+
+// A readable copy of the post. Images point at the saved copies where they
+// could be downloaded, else at their original URL.
+export function buildPostMarkdown(post) {
+  const out = [`# ${mdEscape(post.caption || 'Bastyon post')}`, ''];
+  out.push(`- **Author:** ${authorLabel(post.author)}${post.author.address ? ` (${post.author.address})` : ''}`);
+  if (post.publishedAt) out.push(`- **Published:** ${post.publishedAt}`);
+  if (post.editedAt) out.push(`- **Edited:** ${post.editedAt}`);
+  out.push(`- **Post:** ${post.url}`);
+  if (post.linkedUrl) out.push(`- **Link:** ${post.linkedUrl}`);
+  if (post.tags.length) out.push(`- **Tags:** ${post.tags.map((t) => `#${mdEscape(t)}`).join(' ')}`);
+  if (post.score) out.push(`- **Rating:** ${post.score.count ? (post.score.sum / post.score.count).toFixed(1) : '-'} (${post.score.count} votes)`);
+  out.push(`- **Archived:** ${post.archivedAt}`);
+  out.push('');
+  if (post.message) out.push(post.message, '');
+  post.images.forEach((img, i) => out.push(`![image ${i + 1}](${img.file ? encodeURI(img.file) : img.url})`, ''));
+
+  const byId = new Map();
+  const walk = (list) => list.forEach((c) => {
+    byId.set(c.id, c);
+    walk(c.replies);
+  });
+  walk(post.comments || []);
+  out.push(`## Comments (${byId.size})`, '');
+  if (!byId.size) out.push('_No comments._', '');
+  for (const c of post.comments || []) out.push(...commentLines(c, 0, byId));
+  return out.join('\n').replace(/\n*$/, '\n');
+}
+
+// A metadata-shaped view of the post, so output templates and default names
+// work for posts without a video
+export function postAsMeta(post) {
+  const firstLine = (post.message || '').split(/\r?\n/).find((l) => l.trim()) || '';
+  const title = post.caption || firstLine.slice(0, 80).trim() || `Bastyon post ${post.txid.slice(0, 12)}`;
+  const author = post.author.name || post.author.address;
+  return {
+    name: title,
+    publishedAt: post.publishedAt,
+    account: author ? { name: author, displayName: author } : null,
+    tags: post.tags,
+  };
+}
+
+// Output path without extension for a post without a video: the rendered
+// `template` (its extension dropped) or the sanitized title. The bundle files
+// add .post.json, .post.md and .post-images to it.
+export function postBaseName(post, opts = {}) {
+  const { template = null, restrict = false } = opts;
+  const meta = postAsMeta(post);
+  if (template) {
+    return renderOutputTemplate(template, templateFields(meta, null, '.post', { txid: post.txid }), { restrict }).replace(/\.post$/, '');
+  }
+  return restrict ? restrictName(meta.name) : sanitizeName(meta.name);
+}
@@ -0,0 +1,111 @@
+// Download progress: a meter turning the (downloaded, total) callbacks of
+// downloadFile/downloadHls into events with speed and ETA, and a terminal
+// progress bar drawing those events. Library functions never print; the bar
+// is for the CLI (or any caller with a terminal).
+
+// Weight of the newest sample in the smoothed speed
+const SPEED_SMOOTHING = 0.3;
+// Shortest time between two speed samples
+const SAMPLE_MS = 250;
+// The bar is redrawn at most this often
+const DRAW_INTERVAL_MS = 100;
+
+// Returns update(downloaded, total, parts) -> { downloaded, total, percent,
+// speed, eta }. `speed` is in bytes per second, smoothed, and null until two
+// samples exist; `eta` is in seconds, null while the total or speed is unknown.
+// `parts` ({ done, total }, HLS segments) gives the percent when the byte
+// total is unknown.
+export function createProgressMeter() {
+  let sample = null;
+  let speed = null;
+  return (downloaded, total = null, parts = null) => {
+    const now = Date.now();
+    if (!sample) {
+      sample = { time: now, bytes: downloaded };
+    } else if (now - sample.time >= SAMPLE_MS) {
+      const rate = ((downloaded - sample.bytes) / (now - sample.time)) * 1000;
+      speed = speed == null ? rate : speed + SPEED_SMOOTHING * (rate - speed);
+      sample = { time: now, bytes: downloaded };
+    }
+    let percent = null;
+    if (total) percent = (downloaded / total) * 100;
+    else if (parts && parts.total) percent = (parts.done / parts.total) * 100;
+    const eta = total && speed > 0 ? Math.max(0, Math.round((total - downloaded) / speed)) : null;
+    return { downloaded, total, percent, speed, eta, parts };
+  };
+}
+
+export function formatBytes(n) {
+  if (n == null || !Number.isFinite(n)) return '?';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${i ? n.toFixed(1) : Math.round(n)} ${units[i]}`;
+}
+
+export function formatDuration(sec) {
+  if (sec == null || !Number.isFinite(sec)) return '--:--';
+  const s = Math.round(sec);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (x) => String(x).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+// A one-line progress bar on `stream` (default stdout), redrawn in place:
+//    42.0% [##########--------------]  12.3 MiB / 29.3 MiB  2.1 MiB/s  ETA 0:08
+// Draws nothing when the stream is not a terminal. update(event) takes
+// createProgressMeter's events; done() ends the line.
+export function createProgressBar(opts = {}) {
+  const { stream = process.stdout } = opts;
+  const enabled = !!stream.isTTY;
+  let lastDraw = 0;
+  let drawn = false;
+  let last = null;
+
+  const render = (e) => {
+    const width = stream.columns || 80;
+    const pct = e.percent == null ? '     ' : `${e.percent.toFixed(1).padStart(5)}%`;
+    const size = e.total ? `${formatBytes(e.downloaded)} / ${formatBytes(e.total)}` : formatBytes(e.downloaded);
+    const info = [
+      size,
+      e.parts && !e.total ? `${e.parts.done}/${e.parts.total} segments` : null,
+      e.speed != null ? `${formatBytes(e.speed)}/s` : null,
+      e.eta != null ? `ETA ${formatDuration(e.eta)}` : null,
+    ].filter(Boolean).join('  ');
+    const room = width - pct.length - info.length - 6;
+    if (room < 10) return `${pct} ${info}`.slice(0, width - 1);
+    const barWidth = Math.min(room, 40);
+    const filled = e.percent == null ? 0 : Math.round((Math.min(e.percent, 100) / 100) * barWidth);
+    return `${pct} [${'#'.repeat(filled)}${'-'.repeat(barWidth - filled)}]  ${info}`;
+  };
+
+  const draw = (e) => {
+    const line = render(e);
+    stream.write(`\r${line}\x1b[K`);
+    drawn = true;
+  };
+
+  return {
+    enabled,
+
+    update(e) {
+      last = e;
+      if (!enabled) return;
+      const now = Date.now();
+      if (now - lastDraw < DRAW_INTERVAL_MS && e.percent !== 100) return;
+      lastDraw = now;
+      draw(e);
+    },
+
+    done() {
+      if (!enabled) return;
+      if (last) draw(last);
+      if (drawn) stream.write('\n');
+      drawn = false;
+    },
+  };
+}
@@ -0,0 +1,231 @@
+import { isRetryable, sleep } from './net.js';
+import { codedError } from './errors.js';
+import { getHostPacer } from './throttle.js';
+
+// Bastyon RPC node pool. Calls go to the first healthy node; a node that times
+// out, drops the connection or answers with a server error is marked unhealthy
+// for a cooldown and the call moves on to the next one. When every node failed,
+// the whole round is retried with backoff.
+//
+// Nodes are origins such as https://5.pocketnet.app:8899; methods are posted
+// to <node>/rpc/<method> like pocketnet.gui/php/rpc.php does.
+
+export const DEFAULT_RPC_NODES = [
+  'https://5.pocketnet.app:8899',
+  'https://1.pocketnet.app:8899',
+  'https://2.pocketnet.app:8899',
+  'https://3.pocketnet.app:8899',
+  'https://4.pocketnet.app:8899',
+  'https://6.pocketnet.app:8899',
+];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const COOLDOWN_MS = 60000;
+const MAX_COOLDOWN_MS = 10 * 60000;
+// A node this many blocks behind the best one is treated as unhealthy
+const MAX_HEIGHT_LAG = 10;
+
+// Accepts "host:port", full origins and the older ".../rpc/" base form
+export function normalizeRpcNode(node) {
+  let s = String(node || '').trim();
+  if (!s) return null;
+  if (!/^https?:\/\//i.test(s)) s = `https://${s}`;
+  return s.replace(/\/+$/, '').replace(/\/rpc$/i, '');
+}
+
+// Splits a comma or whitespace separated node list, as in BASTYON_RPC_NODES
+export function parseRpcNodes(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(normalizeRpcNode)
+    .filter(Boolean);
+}
+
+function rpcError(message, retryable) {
+  return codedError('RPC_ERROR', message, { retryable });
+}
+
+// Unwraps the node's { result, data } envelope
+function unwrap(j) {
+  if (j && j.result != null && j.data != null) return j.data;
+  // Fallbacks in case of proxy shape differences
+  if (Array.isArray(j)) return j;
+  if (j && j.data != null) return j.data;
+  if (j && j.error) throw rpcError(`Bastyon RPC error: ${j.error.message || j.error}`, false);
+  throw rpcError('Unexpected Bastyon RPC response', true);
+}
+
+// `opts`: timeout per request in ms, retries (extra rounds over all nodes),
+// cooldown in ms for a failed node (doubling on repeated failures).
+export function createRpcPool(nodes = DEFAULT_RPC_NODES, opts = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, retries = 2, cooldown = COOLDOWN_MS, log = null } = opts;
+  const list = [...new Set(nodes.map(normalizeRpcNode).filter(Boolean))];
+  if (!list.length) throw new Error('No Bastyon RPC nodes configured');
+  const health = new Map(list.map((n) => [n, { failures: 0, downUntil: 0, lastError: null, latency: null, height: null }]));
+
+  const markUp = (node, latency) => {
+    const h = health.get(node);
+    h.failures = 0;
+    h.downUntil = 0;
+    h.lastError = null;
+    if (latency != null) h.latency = latency;
+  };
+  const markDown = (node, e) => {
+    const h = health.get(node);
+    h.failures++;
+    h.downUntil = Date.now() + Math.min(MAX_COOLDOWN_MS, cooldown * 2 ** (h.failures - 1));
+    h.lastError = e && e.message ? e.message : String(e);
+    if (log) log(`Bastyon RPC node ${node} failed (${h.lastError}); trying the next one`);
+  };
+
+  // Healthy nodes in configured order, then the unhealthy ones soonest-back
+  // first: when everything is down the call still tries every node
+  const ordered = () => {
+    const now = Date.now();
+    const up = list.filter((n) => health.get(n).downUntil <= now);
+    const down = list.filter((n) => health.get(n).downUntil > now).sort((a, b) => health.get(a).downUntil - health.get(b).downUntil);
+    return [...up, ...down];
+  };
+
+  // One request to one node, paced like other requests to its host (see
+  // lib/throttle.js), resolving with { response, text }. The body is read here
+  // so the timeout covers it too: a node that sends headers and then stalls
+  // fails over like one that never answers. Times out after `timeout` ms once
+  // it starts; the caller's signal (the web proxy's client going away) aborts
+  // it as well. Combined by hand as AbortSignal.any needs Node 20.3 and
+  // package.json allows Node 18.
+  const request = (node, path, init = {}) => getHostPacer().schedule(new URL(node).host, async () => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (init.signal) init.signal.addEventListener('abort', onAbort, { once: true });
+    try {
+      const response = await fetch(node + path, { ...init, signal: controller.signal });
+      return { response, text: await response.text() };
+    } catch (e) {
+      if (timedOut) throw rpcError(`timed out after ${timeout} ms`, true);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      if (init.signal) init.signal.removeEventListener('abort', onAbort);
+    }
+  });
+
+  // Runs attempt(node) over the nodes until one succeeds. Errors that are not
+  // the node's fault (a bad request, a missing post) end the call right away.
+  const failover = async (attempt) => {
+    let lastError = null;
+    for (let round = 0; round <= retries; round++) {
+      for (const node of ordered()) {
+        const started = Date.now();
+        try {
+          const result = await attempt(node);
+          markUp(node, Date.now() - started);
+          return result;
+        } catch (e) {
+          if (!isRetryable(e)) throw e;
+          markDown(node, e);
+          lastError = e;
+        }
+      }
+      if (round < retries) await sleep(Math.min(30000, 1000 * 2 ** round));
+    }
+    throw codedError('RPC_UNAVAILABLE', `All Bastyon RPC nodes failed; last error: ${lastError && lastError.message ? lastError.message : lastError}`);
+  };
+
+  const post = async (node, method, parameters) => {
+    const { response: r, text } = await request(node, `/rpc/${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-no-compression': '1',
+      },
+      body: JSON.stringify({ method, parameters }),
+    });
+    if (!r.ok) throw rpcError(`Bastyon RPC error ${r.status}: ${text || r.statusText}`, r.status >= 500 || r.status === 429 || r.status === 408);
+    let j;
+    try {
+      j = JSON.parse(text);
+    } catch {
+      throw rpcError('Bastyon RPC node returned invalid JSON', true);
+    }
+    return unwrap(j);
+  };
+
+  return {
+    get nodes() {
+      return [...list];
+    },
+
+    call(method, parameters = []) {
+      return failover((node) => post(node, method, parameters));
+    },
+
+    // For the web server's /rpc/ proxy: forwards a raw request and resolves with
+    // the first node's Response that is not a server error, its body already
+    // read (see request)
+    forward(path, init = {}) {
+      return failover(async (node) => {
+        const { response: r, text } = await request(node, path, init);
+        if (r.status >= 500 || r.status === 429) throw rpcError(`HTTP ${r.status}`, true);
+        // Null-body statuses (204, 304) refuse even an empty string
+        return new Response(text || null, { status: r.status, statusText: r.statusText, headers: r.headers });
+      });
+    },
+
+    // Asks every node for its block height. Resolves with
+    // [{ node, ok, latency, height, error }] in configured order and updates
+    // health: failed nodes and nodes lagging behind the best height are marked down.
+    async probe() {
+      const results = await Promise.all(list.map(async (node) => {
+        const started = Date.now();
+        try {
+          const info = await post(node, 'getnodeinfo', []);
+          const height = Number((info && info.lastblock && info.lastblock.height) || (info && (info.height || info.blocks))) || null;
+          return { node, ok: true, latency: Date.now() - started, height, error: null };
+        } catch (e) {
+          return { node, ok: false, latency: null, height: null, error: e && e.message ? e.message : String(e) };
+        }
+      }));
+      const best = Math.max(0, ...results.map((r) => r.height || 0));
+      for (const r of results) {
+        if (r.ok && r.height != null && best - r.height > MAX_HEIGHT_LAG) {
+          r.ok = false;
+          r.error = `${best - r.height} blocks behind`;
+        }
+        health.get(r.node).height = r.height;
+        if (r.ok) markUp(r.node, r.latency);
+        else markDown(r.node, new Error(r.error));
+      }
+      return results;
+    },
+
+    status() {
+      const now = Date.now();
+      return list.map((node) => {
+        const h = health.get(node);
+        return { node, healthy: h.downUntil <= now, failures: h.failures, latency: h.latency, height: h.height, lastError: h.lastError };
+      });
+    },
+  };
+}
+
+let defaultPool = null;
+
+// The pool used when callers do not pass one: BASTYON_RPC_NODES (or the older
+// single-node BASTYON_RPC) when set, else DEFAULT_RPC_NODES
+export function defaultRpcPool() {
+  if (!defaultPool) {
+    const fromEnv = parseRpcNodes(process.env.BASTYON_RPC_NODES || process.env.BASTYON_RPC);
+    defaultPool = createRpcPool(fromEnv.length ? fromEnv : DEFAULT_RPC_NODES);
+  }
+  return defaultPool;
+}
+
+export function setDefaultRpcPool(pool) {
+  defaultPool = pool;
+}
@@ -0,0 +1,180 @@
+import { promises as fs } from 'node:fs';
+import { httpFetch, parseContentRange, pickValidator, retryBudget, withRetries } from './net.js';
+import { throttle, rateLimitInfo } from './throttle.js';
+
+// Multi-connection downloads: the file is split into byte ranges that several
+// connections fetch in parallel, each writing into the preallocated .part at its
+// own offset. The chunk list with per-chunk progress is kept in the .part.json
+// state file so an interrupted download resumes every chunk where it stopped.
+
+const MIN_CHUNK = 1 << 20;
+const SAVE_INTERVAL_MS = 1000;
+
+// Asks for the first byte to learn whether the server serves ranges. Returns
+// { total, etag, lastModified } or null when ranges are unsupported.
+export async function probeRanges(url, signal) {
+  const r = await httpFetch(url, { headers: { Accept: '*/*', Range: 'bytes=0-0' }, signal });
+  await r.body?.cancel().catch(() => {});
+  if (r.status !== 206) {
+    if (r.ok) return null;
+    const err = new Error(`Download error ${r.status}: ${r.statusText}`);
+    err.code = 'DOWNLOAD_FAILED';
+    err.retryable = r.status >= 500 || r.status === 408;
+    Object.assign(err, rateLimitInfo(r));
+    throw err;
+  }
+  if ((r.headers.get('accept-ranges') || '').toLowerCase() === 'none') return null;
+  const cr = parseContentRange(r.headers.get('content-range'));
+  if (!cr || !cr.total) return null;
+  return { total: cr.total, etag: r.headers.get('etag'), lastModified: r.headers.get('last-modified') };
+}
+
+// More chunks than connections, so fast connections pick up extra work
+function planChunks(total, connections) {
+  const size = Math.max(MIN_CHUNK, Math.ceil(total / (connections * 4)));
+  const chunks = [];
+  for (let start = 0; start < total; start += size) chunks.push({ start, end: Math.min(start + size, total), pos: 0 });
+  return chunks;
+}
+
+async function loadState(url, tmp, stateFile, probe) {
+  let saved = null;
+  try {
+    saved = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+  } catch {}
+  const st = await fs.stat(tmp).catch(() => null);
+  const usable = saved
+    && saved.url === url
+    && Array.isArray(saved.chunks)
+    && saved.total === probe.total
+    && (saved.etag || null) === (probe.etag || null)
+    && (saved.lastModified || null) === (probe.lastModified || null)
+    && st && st.size === probe.total;
+  return usable ? saved : null;
+}
+
+// Not retried per chunk: every chunk would get the new file. downloadSegmented
+// drops the .part and marks it retryable so the whole download starts over.
+function remoteChanged() {
+  const err = new Error('Remote file changed during the download');
+  err.code = 'REMOTE_CHANGED';
+  return err;
+}
+
+// Downloads url into tmp over `connections` parallel range requests. Returns
+// false without touching tmp when the server does not support ranges, so the
+// caller can fall back to a single stream. `retries` (a count or a retryBudget)
+// is shared by all chunks.
+export async function downloadSegmented(url, tmp, stateFile, opts = {}) {
+  const { connections = 4, signal = null, onProgress = null, onRetry = null } = opts;
+  const retries = opts.retries && typeof opts.retries === 'object' ? opts.retries : retryBudget(opts.retries ?? 3);
+  const probe = await probeRanges(url, signal);
+  if (!probe) return false;
+
+  let state = await loadState(url, tmp, stateFile, probe);
+  if (!state) {
+    state = { url, etag: probe.etag, lastModified: probe.lastModified, total: probe.total, chunks: planChunks(probe.total, connections) };
+    const fh = await fs.open(tmp, 'w');
+    await fh.truncate(probe.total);
+    await fh.close();
+  }
+  const { total, chunks } = state;
+  const validator = pickValidator(state);
+
+  // Writes are chained so parallel chunks never interleave two state writes
+  let lastSave = 0;
+  let saving = Promise.resolve();
+  const save = (force) => {
+    if (!force && Date.now() - lastSave < SAVE_INTERVAL_MS) return saving;
+    lastSave = Date.now();
+    saving = saving.then(() => fs.writeFile(stateFile, JSON.stringify(state)));
+    return saving;
+  };
+  await save(true);
+
+  let downloaded = chunks.reduce((n, c) => n + c.pos, 0);
+  const report = () => {
+    if (onProgress) onProgress(downloaded, total);
+  };
+
+  // The first chunk out of retries (or the caller's signal) stops the others
+  let failure = null;
+  const controller = new AbortController();
+  const onAbort = () => {
+    if (!failure) failure = signal.reason;
+    controller.abort();
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  const fh = await fs.open(tmp, 'r+');
+
+  const fetchChunk = async (c) => {
+    const from = c.start + c.pos;
+    if (from >= c.end) return;
+    const headers = { Accept: '*/*', Range: `bytes=${from}-${c.end - 1}` };
+    if (validator) headers['If-Range'] = validator;
+    const r = await httpFetch(url, { headers, signal: controller.signal });
+    if (r.status === 200) {
+      // If-Range failed: the file is not the one the other chunks came from
+      await r.body?.cancel().catch(() => {});
+      throw remoteChanged();
+    }
+    const cr = parseContentRange(r.headers.get('content-range'));
+    if (r.status !== 206 || !r.body || !cr || cr.start !== from) {
+      await r.body?.cancel().catch(() => {});
+      const err = new Error(`Chunk ${c.start}-${c.end - 1}: unexpected response ${r.status}`);
+      err.retryable = r.status >= 500 || r.status === 408 || r.status === 206;
+      Object.assign(err, rateLimitInfo(r));
+      throw err;
+    }
+    for await (const buf of r.body) {
+      const n = Math.min(buf.length, c.end - (c.start + c.pos));
+      if (n <= 0) break;
+      await throttle(n);
+      await fh.write(buf, 0, n, c.start + c.pos);
+      c.pos += n;
+      downloaded += n;
+      report();
+      await save(false);
+    }
+    if (c.start + c.pos !== c.end) {
+      const err = new Error(`Chunk ${c.start}-${c.end - 1} truncated`);
+      err.retryable = true;
+      throw err;
+    }
+    await save(true);
+  };
+
+  const pending = chunks.filter((c) => c.start + c.pos < c.end);
+  let next = 0;
+  const worker = async () => {
+    while (!failure && next < pending.length) {
+      const c = pending[next++];
+      try {
+        // Chunks retry from one shared budget; the first failure past it stops the rest
+        await withRetries(() => fetchChunk(c), retries, { onRetry });
+      } catch (e) {
+        if (!failure) failure = e;
+        controller.abort();
+      }
+    }
+  };
+
+  try {
+    report();
+    await Promise.all(Array.from({ length: Math.min(connections, pending.length) }, worker));
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    await fh.close();
+    await save(true);
+  }
+
+  if (failure) {
+    if (failure.code === 'REMOTE_CHANGED') {
+      await fs.rm(tmp).catch(() => {});
+      await fs.rm(stateFile).catch(() => {});
+      failure.retryable = true;
+    }
+    throw failure;
+  }
+  return true;
+}
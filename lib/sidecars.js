@@ -0,0 +1,114 @@
+// Builders for the metadata files written next to a download: .info.json,
+// .description, chapters (WebVTT) and a Kodi/Jellyfin style .nfo.
+
+function absUrl(host, path) {
+  if (!path) return null;
+  if (/^https?:\/\//.test(path)) return path;
+  return host ? host.replace(/\/$/, '') + path : null;
+}
+
+function actorName(a) {
+  if (!a) return null;
+  return a.displayName || a.name || null;
+}
+
+// Flattens PeerTube's video object into the fields media tools care about.
+// `source` describes how the video was reached: { host, txid, postUrl }.
+export function normalizeMeta(meta, source = {}) {
+  const { host = null, txid = null, postUrl = null } = source;
+  const labelOf = (v) => (v && (v.label || v.id)) || null;
+  return {
+    id: meta.uuid || null,
+    shortUUID: meta.shortUUID || null,
+    title: meta.name || meta.title || null,
+    description: meta.description || meta.truncatedDescription || null,
+    publishedAt: meta.publishedAt || null,
+    originallyPublishedAt: meta.originallyPublishedAt || null,
+    duration: meta.duration || null,
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    category: labelOf(meta.category),
+    licence: labelOf(meta.licence),
+    language: (meta.language && meta.language.id) || null,
+    views: meta.views != null ? meta.views : null,
+    likes: meta.likes != null ? meta.likes : null,
+    dislikes: meta.dislikes != null ? meta.dislikes : null,
+    nsfw: !!meta.nsfw,
+    channel: meta.channel
+      ? { name: meta.channel.name, displayName: actorName(meta.channel), url: meta.channel.url || null, host: meta.channel.host || null }
+      : null,
+    account: meta.account
+      ? { name: meta.account.name, displayName: actorName(meta.account), url: meta.account.url || null, host: meta.account.host || null }
+      : null,
+    host,
+    webpageUrl: meta.url || (host && meta.uuid ? `${host}/w/${meta.uuid}` : null),
+    thumbnailUrl: absUrl(host, meta.thumbnailPath),
+    previewUrl: absUrl(host, meta.previewPath),
+    bastyon: txid ? { txid, postUrl: postUrl || `https://bastyon.com/post?s=${txid}` } : null,
+  };
+}
+
+export function buildInfoJson(info, extra = {}) {
+  return JSON.stringify({ ...info, ...extra }, null, 2) + '\n';
+}
+
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+// PeerTube chapters are { timecode, title } start points; each one ends where
+// the next starts, the last one at the end of the video.
+export function chaptersToVtt(chapters, duration) {
+  const sorted = [...chapters].sort((a, b) => a.timecode - b.timecode);
+  const cues = sorted.map((c, i) => {
+    const end = i + 1 < sorted.length ? sorted[i + 1].timecode : duration || c.timecode + 1;
+    const title = String(c.title || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `${i + 1}\n${vttTime(c.timecode)} --> ${vttTime(end)}\n${title}\n`;
+  });
+  return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+function xml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+export function buildNfo(info) {
+  const date = (info.originallyPublishedAt || info.publishedAt || '').slice(0, 10);
+  const channel = info.channel && (info.channel.displayName || info.channel.name);
+  const author = info.account && (info.account.displayName || info.account.name);
+  let plot = info.description || '';
+  if (info.bastyon) plot += `${plot ? '\n\n' : ''}Bastyon post: ${info.bastyon.postUrl}`;
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', '<movie>'];
+  const tag = (name, value, attrs = '') => {
+    if (value == null || value === '') return;
+    lines.push(`  <${name}${attrs}>${xml(value)}</${name}>`);
+  };
+  tag('title', info.title);
+  tag('plot', plot);
+  tag('studio', channel);
+  tag('director', author);
+  if (date) {
+    tag('premiered', date);
+    tag('aired', date);
+    tag('year', date.slice(0, 4));
+  }
+  if (info.duration) tag('runtime', Math.round(info.duration / 60));
+  tag('genre', info.category);
+  for (const t of info.tags) tag('tag', t);
+  tag('uniqueid', info.id, ' type="peertube" default="true"');
+  if (info.bastyon) tag('uniqueid', info.bastyon.txid, ' type="bastyon"');
+  tag('thumb', info.previewUrl || info.thumbnailUrl);
+  lines.push('</movie>', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,173 @@
+import { promises as fs } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { dirname, join, basename, extname, isAbsolute, win32 } from 'node:path';
+import { codedError } from './errors.js';
+import { parseFormatSelector } from './formats.js';
+
+// Subscription files for `bvd watch`, also edited through the web server:
+//
+//   {
+//     "interval": 3600,                       seconds between two checks of a source
+//     "max": 10,                              newest videos looked at per check
+//     "output": "{channel}/{title}.{ext}",    directory or output template
+//     "archive": "subscriptions.archive.txt", download archive, see lib/archive.js
+//     "subscriptions": [
+//       { "url": "https://videos.example/c/my_channel", "name": "My channel" },
+//       { "url": "https://bastyon.com/someone", "interval": 600, "format": "best[height<=720]" }
+//     ]
+//   }
+//
+// A subscription may override interval, max, output, format, quality and
+// audioOnly, set "since" (YYYYMMDD) to ignore older videos and "enabled":
+// false to pause it. Relative paths are relative to the file. A bare array is
+// read as the subscriptions list.
+//
+// `bvd watch` keeps per-subscription state (last check, errors) in
+// <name>.state.json next to the file and never writes the file itself, so it
+// can be edited while the watcher runs.
+
+export const DEFAULT_WATCH_INTERVAL = 3600;
+export const DEFAULT_WATCH_MAX = 10;
+// Polling a source more often than this only annoys the instance
+const MIN_INTERVAL = 60;
+
+function invalid(message) {
+  return codedError('BAD_SUBSCRIPTIONS', message);
+}
+
+function checkCommon(where, src, out) {
+  if (src.interval != null) {
+    const n = Number(src.interval);
+    if (!(n >= MIN_INTERVAL)) throw invalid(`${where}: interval must be at least ${MIN_INTERVAL} seconds`);
+    out.interval = n;
+  }
+  if (src.max != null) {
+    const n = Number(src.max);
+    if (!Number.isInteger(n) || n < 1) throw invalid(`${where}: max must be a positive integer`);
+    out.max = n;
+  }
+  if (src.output != null) {
+    if (typeof src.output !== 'string' || !src.output.trim()) throw invalid(`${where}: output must be a path`);
+    out.output = src.output.trim();
+  }
+  if (src.format != null && src.format !== '') {
+    try {
+      parseFormatSelector(src.format);
+    } catch (e) {
+      throw invalid(`${where}: ${e.message}`);
+    }
+    out.format = String(src.format).trim();
+  }
+  if (src.quality != null && src.quality !== '') {
+    const n = Number(src.quality);
+    if (!(n > 0)) throw invalid(`${where}: quality must be a height such as 720`);
+    out.quality = n;
+  }
+  if (src.audioOnly != null) out.audioOnly = !!src.audioOnly;
+  return out;
+}
+
+function normalizeSubscription(sub, i) {
+  const where = `subscription ${i + 1}`;
+  if (!sub || typeof sub !== 'object') throw invalid(`${where}: expected an object with a url`);
+  const url = typeof sub.url === 'string' ? sub.url.trim() : '';
+  if (!url) throw invalid(`${where}: url is missing`);
+  const out = { url };
+  if (sub.name != null && String(sub.name).trim()) out.name = String(sub.name).trim();
+  checkCommon(`${where} (${url})`, sub, out);
+  if (sub.since != null && sub.since !== '') {
+    if (!/^\d{4}-?\d{2}-?\d{2}$/.test(String(sub.since))) throw invalid(`${where} (${url}): since must be a date as YYYYMMDD`);
+    out.since = String(sub.since);
+  }
+  if (sub.enabled === false) out.enabled = false;
+  return out;
+}
+
+// Checks a subscription document and returns it in canonical form (unknown
+// keys dropped, defaults left out). Throws BAD_SUBSCRIPTIONS errors.
+export function normalizeSubscriptions(doc) {
+  const src = Array.isArray(doc) ? { subscriptions: doc } : doc;
+  if (!src || typeof src !== 'object') throw invalid('expected an object with a "subscriptions" list');
+  const list = src.subscriptions == null ? [] : src.subscriptions;
+  if (!Array.isArray(list)) throw invalid('"subscriptions" must be a list');
+  const out = checkCommon('file', src, {});
+  if (src.archive != null) {
+    if (typeof src.archive !== 'string' || !src.archive.trim()) throw invalid('file: archive must be a path');
+    out.archive = src.archive.trim();
+  }
+  out.subscriptions = list.map(normalizeSubscription);
+  const seen = new Set();
+  for (const s of out.subscriptions) {
+    if (seen.has(s.url)) throw invalid(`${s.url} is listed twice`);
+    seen.add(s.url);
+  }
+  return out;
+}
+
+// Paths a web client sets must stay under the file's directory: relative and
+// without `..`. Values already in the file are its owner's and kept as they
+// are. `doc` and `current` are normalized documents.
+export function checkSubscriptionPaths(doc, current = { subscriptions: [] }) {
+  const check = (where, value, was) => {
+    if (value == null || value === was) return;
+    if (isAbsolute(value) || win32.isAbsolute(value) || value.split(/[\\/]+/).includes('..')) {
+      throw invalid(`${where}: ${value} must be a relative path inside the subscriptions directory`);
+    }
+  };
+  check('file: output', doc.output, current.output);
+  check('file: archive', doc.archive, current.archive);
+  const before = new Map(current.subscriptions.map((s) => [s.url, s]));
+  for (const s of doc.subscriptions) check(`${s.url}: output`, s.output, before.has(s.url) ? before.get(s.url).output : undefined);
+}
+
+export async function loadSubscriptions(file) {
+  const text = await fs.readFile(file, 'utf8');
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw invalid(`${file} is not valid JSON: ${e.message}`);
+  }
+  return normalizeSubscriptions(doc);
+}
+
+// Writes through a temporary file so a watcher never reads half a file
+export async function saveSubscriptions(file, doc) {
+  const data = `${JSON.stringify(normalizeSubscriptions(doc), null, 2)}\n`;
+  const tmp = `${file}.${randomBytes(4).toString('hex')}.tmp`;
+  await fs.mkdir(dirname(file), { recursive: true });
+  try {
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+// Where the watcher of `file` keeps its state and, unless the file names one,
+// its download archive: <name>.state.json and <name>.archive.txt next to it
+export function watchPaths(file, doc = {}) {
+  const dir = dirname(file);
+  const stem = basename(file, extname(file));
+  return {
+    state: join(dir, `${stem}.state.json`),
+    archive: doc.archive ? join(dir, doc.archive) : join(dir, `${stem}.archive.txt`),
+  };
+}
+
+// { [url]: { lastCheck, nextCheck, lastError, lastSaved, saved } }
+export async function loadWatchState(path) {
+  try {
+    const state = JSON.parse(await fs.readFile(path, 'utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+  } catch {
+    return {};
+  }
+}
+
+export async function saveWatchState(path, state) {
+  const tmp = `${path}.${randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fs.rename(tmp, path);
+}
@@ -0,0 +1,44 @@
+// WebVTT to SubRip conversion for PeerTube captions.
+
+// WebVTT allows "mm:ss.ttt" as well as "hh:mm:ss.ttt"; SRT needs "hh:mm:ss,ttt"
+function srtTime(t) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(t.trim());
+  if (!m) return null;
+  const h = String(Number(m[1] || 0)).padStart(2, '0');
+  const mm = m[2].padStart(2, '0');
+  const ms = m[4].padEnd(3, '0');
+  return `${h}:${mm}:${m[3]},${ms}`;
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '\u200e', '&rlm;': '\u200f' };
+
+// Keeps the <b>, <i> and <u> tags SRT players understand and drops the rest
+// (voice spans, classes, ruby, inline timestamps)
+function cueText(lines) {
+  return lines
+    .join('\n')
+    .replace(/<(\/?)([biu])(?:\.[^>]*)?>/g, '\u0000$1$2\u0001')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\u0000/g, '<')
+    .replace(/\u0001/g, '>')
+    .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (e) => ENTITIES[e]);
+}
+
+export function vttToSrt(vtt) {
+  const blocks = String(vtt).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const out = [];
+  for (const block of blocks) {
+    const lines = block.split('\n').filter((l, i) => i > 0 || l.trim() !== '');
+    const timingIdx = lines.findIndex((l) => l.includes('-->'));
+    // Header, NOTE, STYLE and REGION blocks carry no timing line
+    if (timingIdx === -1 || timingIdx > 1) continue;
+    const [from, rest] = lines[timingIdx].split('-->');
+    const start = srtTime(from);
+    const end = srtTime(rest.trim().split(/\s+/)[0]);
+    if (!start || !end) continue;
+    const text = cueText(lines.slice(timingIdx + 1));
+    if (!text.trim()) continue;
+    out.push(`${out.length + 1}\n${start} --> ${end}\n${text}\n`);
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,187 @@
+import { Transform } from 'node:stream';
+import { httpFetch, sleep } from './net.js';
+
+// Politeness towards the servers bvd talks to, shared by everything in the
+// process (all parallel downloads of the CLI, all jobs and /proxy streams of
+// the web server):
+//
+//  - a bandwidth limit on downloaded file bytes (--limit-rate, BVD_LIMIT_RATE)
+//  - per-host pacing of metadata and RPC requests: at most `concurrency`
+//    requests in flight and `delay` ms between two starts (--sleep-requests,
+//    --host-concurrency, BVD_SLEEP_REQUESTS, BVD_HOST_CONCURRENCY)
+//  - 429 Too Many Requests: the host is paused for its Retry-After
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+const DEFAULT_HOST_CONCURRENCY = 4;
+// A Retry-After longer than this is not waited for; the request fails instead
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+const RATE_LIMIT_RETRIES = 3;
+
+// "2M", "500K", "1.5m", "100000" (bytes per second, 1024-based units).
+// Returns null for an empty value and NaN for one it cannot read.
+export function parseRate(text) {
+  if (text == null || String(text).trim() === '') return null;
+  const m = /^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b)?(?:\/s)?$/i.exec(String(text).trim());
+  return m ? Math.round(Number(m[1]) * SIZE_UNITS[m[2].toLowerCase()]) : NaN;
+}
+
+// Milliseconds from a Retry-After header (seconds or an HTTP date), or null
+export function retryAfterMs(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Token bucket allowing `bytesPerSecond` on average and bursts of one second's worth
+export function createRateLimiter(bytesPerSecond) {
+  const rate = bytesPerSecond;
+  let available = rate;
+  let last = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    available = Math.min(rate, available + ((now - last) / 1000) * rate);
+    last = now;
+  };
+  return {
+    rate,
+
+    // Resolves once `n` more bytes may pass. Chunks larger than the burst
+    // go through and are paid for by the following ones.
+    async take(n) {
+      for (;;) {
+        refill();
+        const need = Math.min(n, rate);
+        if (available >= need) {
+          available -= n;
+          return;
+        }
+        await sleep(Math.ceil(((need - available) / rate) * 1000));
+      }
+    },
+  };
+}
+
+// Paces requests per host. `delay` is the minimum time in ms between two
+// request starts, `concurrency` the number of requests in flight per host.
+export function createHostPacer(opts = {}) {
+  const { delay = 0, concurrency = DEFAULT_HOST_CONCURRENCY } = opts;
+  const hosts = new Map();
+  const stateOf = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextStart: 0, pausedUntil: 0 });
+    return hosts.get(host);
+  };
+
+  const acquire = async (h) => {
+    // A finishing request hands its slot straight to the next waiting one
+    if (h.active < concurrency) h.active++;
+    else await new Promise((res) => h.waiting.push(res));
+    for (;;) {
+      const now = Date.now();
+      const at = Math.max(now, h.nextStart, h.pausedUntil);
+      if (at <= now) break;
+      await sleep(at - now);
+    }
+    h.nextStart = Date.now() + delay;
+  };
+  const release = (h) => {
+    const next = h.waiting.shift();
+    if (next) next();
+    else h.active--;
+  };
+
+  return {
+    delay,
+    concurrency,
+
+    // Runs fn() once the host has a free slot and its delay has passed
+    async schedule(host, fn) {
+      const h = stateOf(host);
+      await acquire(h);
+      try {
+        return await fn();
+      } finally {
+        release(h);
+      }
+    },
+
+    // No request to `host` starts for the next `ms` milliseconds
+    pause(host, ms) {
+      const h = stateOf(host);
+      h.pausedUntil = Math.max(h.pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+let rateLimiter;
+let hostPacer = null;
+
+// The shared limiter, or null when the bandwidth is not limited
+export function getRateLimiter() {
+  if (rateLimiter === undefined) {
+    const rate = parseRate(process.env.BVD_LIMIT_RATE);
+    rateLimiter = rate > 0 ? createRateLimiter(rate) : null;
+  }
+  return rateLimiter;
+}
+
+// Bytes per second for every download of the process; null or 0 lifts the limit
+export function setRateLimit(bytesPerSecond) {
+  rateLimiter = bytesPerSecond > 0 ? createRateLimiter(bytesPerSecond) : null;
+}
+
+export function getHostPacer() {
+  if (!hostPacer) {
+    const delay = Number(process.env.BVD_SLEEP_REQUESTS) * 1000 || 0;
+    const concurrency = Number(process.env.BVD_HOST_CONCURRENCY) || DEFAULT_HOST_CONCURRENCY;
+    hostPacer = createHostPacer({ delay, concurrency });
+  }
+  return hostPacer;
+}
+
+export function setHostPacing(opts) {
+  hostPacer = createHostPacer(opts);
+}
+
+// Waits for the shared limiter before `n` downloaded bytes are used
+export function throttle(n) {
+  const limiter = getRateLimiter();
+  return limiter ? limiter.take(n) : undefined;
+}
+
+// A pass-through stream that holds data back to the shared bandwidth limit,
+// for piping responses (the web server's /proxy)
+export function throttleStream() {
+  return new Transform({
+    transform(chunk, _enc, done) {
+      Promise.resolve(throttle(chunk.length)).then(() => done(null, chunk), done);
+    },
+  });
+}
+
+// fetch() for metadata requests: paced per host, and a 429 (or a 503 with
+// Retry-After) pauses the host for the time asked and tries again.
+// `opts.onWait(host, wait, status)` hears about each such pause (wait in ms).
+export async function politeFetch(url, init = {}, opts = {}) {
+  const { onWait = null } = opts;
+  const host = new URL(url).host;
+  const pacer = getHostPacer();
+  for (let attempt = 0; ; attempt++) {
+    const r = await pacer.schedule(host, () => httpFetch(url, init));
+    const limited = r.status === 429 || (r.status === 503 && r.headers.has('retry-after'));
+    if (!limited || attempt >= RATE_LIMIT_RETRIES) return r;
+    const wait = retryAfterMs(r.headers.get('retry-after')) ?? 1000 * 2 ** attempt;
+    if (wait > MAX_RETRY_AFTER_MS) return r;
+    await r.body?.cancel().catch(() => {});
+    if (onWait) onWait(host, wait, r.status);
+    pacer.pause(host, wait);
+  }
+}
+
+// Retry-After of a 429 or 503 file response as err.retryAfter, so withRetries
+// waits as long as the server asked
+export function rateLimitInfo(r) {
+  if (r.status !== 429 && r.status !== 503) return {};
+  const wait = retryAfterMs(r.headers.get('retry-after'));
+  return { retryable: wait == null || wait <= MAX_RETRY_AFTER_MS, retryAfter: wait };
+}
@@ -0,0 +1,227 @@
+import { createHash } from 'node:crypto';
+import { createReadStream, promises as fs } from 'node:fs';
+import { httpFetch, withRetries } from './net.js';
+import { politeFetch, throttle, rateLimitInfo } from './throttle.js';
+
+// Integrity checks against the .torrent PeerTube publishes for every file:
+// the info dict lists the file length and a SHA-1 hash per piece, so damaged
+// byte ranges can be found and fetched again over HTTP.
+
+// Minimal bencode decoder. Strings stay Buffers because `pieces` is binary;
+// dictionary keys are decoded as UTF-8.
+export function bdecode(buf) {
+  let pos = 0;
+  const fail = (msg) => {
+    throw new Error(`Invalid torrent: ${msg} at byte ${pos}`);
+  };
+
+  const readInt = (end) => {
+    const s = buf.toString('latin1', pos, end);
+    if (!/^-?\d+$/.test(s)) fail('bad integer');
+    pos = end + 1;
+    return Number(s);
+  };
+
+  const next = () => {
+    if (pos >= buf.length) fail('unexpected end');
+    const c = buf[pos];
+    if (c === 0x69) { // i<int>e
+      pos++;
+      const end = buf.indexOf(0x65, pos);
+      if (end === -1) fail('unterminated integer');
+      return readInt(end);
+    }
+    if (c === 0x6c) { // l...e
+      pos++;
+      const list = [];
+      while (buf[pos] !== 0x65) list.push(next());
+      pos++;
+      return list;
+    }
+    if (c === 0x64) { // d...e
+      pos++;
+      const dict = {};
+      while (buf[pos] !== 0x65) {
+        const key = next();
+        if (!Buffer.isBuffer(key)) fail('dictionary key is not a string');
+        dict[key.toString('utf8')] = next();
+      }
+      pos++;
+      return dict;
+    }
+    if (c >= 0x30 && c <= 0x39) { // <len>:<bytes>
+      const colon = buf.indexOf(0x3a, pos);
+      if (colon === -1) fail('unterminated string length');
+      const len = readInt(colon);
+      if (pos + len > buf.length) fail('string runs past the end');
+      const s = buf.subarray(pos, pos + len);
+      pos += len;
+      return s;
+    }
+    return fail('unknown token');
+  };
+
+  const value = next();
+  if (pos !== buf.length) fail('trailing data');
+  return value;
+}
+
+// Extracts what verification needs from a single-file torrent
+export function parseTorrent(buf) {
+  const t = bdecode(Buffer.from(buf));
+  const info = t && t.info;
+  if (!info || !Buffer.isBuffer(info.pieces)) throw new Error('Invalid torrent: missing info dict');
+  if (Array.isArray(info.files)) throw new Error('Multi-file torrents are not supported');
+  const pieceLength = info['piece length'];
+  const length = info.length;
+  if (!pieceLength || length == null) throw new Error('Invalid torrent: missing length');
+  if (info.pieces.length % 20) throw new Error('Invalid torrent: bad pieces field');
+
+  const hashes = [];
+  for (let i = 0; i < info.pieces.length; i += 20) hashes.push(info.pieces.subarray(i, i + 20).toString('hex'));
+  if (hashes.length !== Math.ceil(length / pieceLength)) throw new Error('Invalid torrent: piece count does not match length');
+
+  // Web seeds (BEP 19): PeerTube lists the HTTP file URL here
+  const urlList = t['url-list'];
+  const webSeeds = (Array.isArray(urlList) ? urlList : urlList ? [urlList] : []).map((u) => u.toString('utf8'));
+
+  return {
+    name: info.name ? info.name.toString('utf8') : null,
+    length,
+    pieceLength,
+    hashes,
+    webSeeds,
+  };
+}
+
+// Merges consecutive bad pieces into byte ranges { start, end } (end exclusive)
+function piecesToRanges(pieces, torrent) {
+  const ranges = [];
+  for (const i of pieces) {
+    const start = i * torrent.pieceLength;
+    const end = Math.min(start + torrent.pieceLength, torrent.length);
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === start) last.end = end;
+    else ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+// Hashes the file piece by piece. Pieces beyond the end of a short file count
+// as bad. Returns { ok, size, expectedSize, badPieces, badRanges }.
+export async function verifyPieces(path, torrent) {
+  const { size } = await fs.stat(path);
+  const bad = [];
+  let index = 0;
+  let hash = createHash('sha1');
+  let filled = 0;
+
+  const finishPiece = () => {
+    if (hash.digest('hex') !== torrent.hashes[index]) bad.push(index);
+    index++;
+    hash = createHash('sha1');
+    filled = 0;
+  };
+
+  const pieceSize = (i) => Math.min(torrent.pieceLength, torrent.length - i * torrent.pieceLength);
+  const readable = Math.min(size, torrent.length);
+  if (readable > 0) {
+    for await (let chunk of createReadStream(path, { end: readable - 1, highWaterMark: 1 << 20 })) {
+      while (chunk.length) {
+        const take = chunk.subarray(0, pieceSize(index) - filled);
+        hash.update(take);
+        filled += take.length;
+        chunk = chunk.subarray(take.length);
+        if (filled === pieceSize(index)) finishPiece();
+      }
+    }
+  }
+  // A trailing partial piece of a short file, then everything never read
+  if (filled) finishPiece();
+  for (; index < torrent.hashes.length; index++) bad.push(index);
+
+  return {
+    ok: bad.length === 0 && size === torrent.length,
+    size,
+    expectedSize: torrent.length,
+    badPieces: bad,
+    badRanges: piecesToRanges(bad, torrent),
+  };
+}
+
+async function fetchRange(url, fh, range) {
+  const r = await httpFetch(url, { headers: { Range: `bytes=${range.start}-${range.end - 1}` } });
+  if (r.status !== 206 || !r.body) {
+    await r.body?.cancel().catch(() => {});
+    const err = new Error(`Range request failed with ${r.status}; the server does not support partial downloads`);
+    err.retryable = r.status >= 500;
+    Object.assign(err, rateLimitInfo(r));
+    throw err;
+  }
+  let pos = range.start;
+  for await (const chunk of r.body) {
+    const n = Math.min(chunk.length, range.end - pos);
+    if (n <= 0) break;
+    await throttle(n);
+    await fh.write(chunk, 0, n, pos);
+    pos += n;
+  }
+  if (pos !== range.end) {
+    const err = new Error(`Range ${range.start}-${range.end - 1} truncated`);
+    err.retryable = true;
+    throw err;
+  }
+}
+
+// Re-downloads only the given byte ranges of `url` into the file at `path`,
+// writing each at its offset. The file is first cut to `expectedSize`.
+export async function repairRanges(path, url, ranges, expectedSize, opts = {}) {
+  const { retries = 3, onRetry = null } = opts;
+  const fh = await fs.open(path, 'r+');
+  try {
+    await fh.truncate(expectedSize);
+    for (const range of ranges) await withRetries(() => fetchRange(url, fh, range), retries, { onRetry });
+  } finally {
+    await fh.close();
+  }
+}
+
+export async function fetchTorrent(torrentUrl, opts = {}) {
+  const r = await politeFetch(torrentUrl, { headers: { Accept: 'application/x-bittorrent, */*' } }, { onWait: opts.onWait });
+  if (!r.ok) {
+    const t = await r.text().catch(() => '');
+    throw new Error(`Torrent download error ${r.status}: ${t || r.statusText}`);
+  }
+  return parseTorrent(Buffer.from(await r.arrayBuffer()));
+}
+
+function describe(report) {
+  const lines = [];
+  if (report.size !== report.expectedSize) lines.push(`size ${report.size}, expected ${report.expectedSize}`);
+  for (const r of report.badRanges) lines.push(`corrupt bytes ${r.start}-${r.end - 1}`);
+  return lines;
+}
+
+// Checks `path` against the torrent at `torrentUrl`; with `repair`, damaged
+// ranges are fetched again from `fileUrl` (or the torrent's web seed) and the
+// file is checked once more. `log` receives human readable findings,
+// `onRetry` the repair's connection retries (see withRetries) and `onWait`
+// the torrent request's pauses (see politeFetch).
+// Resolves with the final report; `repaired` tells whether a repair ran.
+export async function verifyDownload(path, opts = {}) {
+  const { torrentUrl, fileUrl = null, repair = true, retries = 3, log = () => {}, onRetry = null, onWait = null } = opts;
+  if (!torrentUrl) throw new Error('No torrent available to verify against');
+  const torrent = await fetchTorrent(torrentUrl, { onWait });
+  let report = await verifyPieces(path, torrent);
+  if (report.ok) return { ...report, repaired: false };
+
+  for (const line of describe(report)) log(line);
+  const source = fileUrl || torrent.webSeeds[0];
+  if (!repair || !source) return { ...report, repaired: false };
+
+  log(`Re-fetching ${report.badRanges.length} range(s) from ${source}`);
+  await repairRanges(path, source, report.badRanges, torrent.length, { retries, onRetry });
+  report = await verifyPieces(path, torrent);
+  for (const line of describe(report)) log(line);
+  return { ...report, repaired: true };
+}
@@ -0,0 +1,119 @@
+import { promises as fsp } from 'node:fs';
+import { randomBytes, scryptSync } from 'node:crypto';
+import { createSigner, safeEqual } from './tokens.mjs';
+
+// Optional access control for the web server. Either or both of:
+//   AUTH_TOKEN       a shared token, sent as "Authorization: Bearer <token>"
+//                    or entered on the login page
+//   AUTH_USERS_FILE  HTTP Basic users, one "user:password" per line; the
+//                    password may be a hash from hashPassword ("scrypt$...")
+// A successful login sets a signed session cookie so the browser (and the
+// EventSource streams, which cannot send headers) stay logged in.
+
+const COOKIE = 'bvd_session';
+const SESSION_TTL = 7 * 24 * 3600;
+
+// "scrypt$<salt>$<hash>", both base64url; for AUTH_USERS_FILE entries
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  return `scrypt$${salt.toString('base64url')}$${scryptSync(String(password), salt, 32).toString('base64url')}`;
+}
+
+function checkPassword(stored, given) {
+  if (!stored.startsWith('scrypt$')) return safeEqual(stored, given);
+  const [, salt, hash] = stored.split('$');
+  if (!salt || !hash) return false;
+  const actual = scryptSync(String(given), Buffer.from(salt, 'base64url'), 32).toString('base64url');
+  return safeEqual(actual, hash);
+}
+
+async function readUsers(file) {
+  const users = new Map();
+  const text = await fsp.readFile(file, 'utf8');
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    users.set(line.slice(0, i), line.slice(i + 1));
+  }
+  return users;
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {}
+  }
+  return out;
+}
+
+// `opts`: token, usersFile, secret (keeps sessions across restarts)
+export async function createAuth(opts = {}) {
+  const { token = null, usersFile = null, secret = null } = opts;
+  const users = usersFile ? await readUsers(usersFile) : null;
+  const signer = createSigner(secret);
+  const enabled = !!(token || users);
+
+  // Who the credentials belong to, or null
+  const checkCredentials = ({ token: given, user, password }) => {
+    if (token && given && safeEqual(given, token)) return 'token';
+    if (users && user && users.has(user) && checkPassword(users.get(user), password || '')) return user;
+    return null;
+  };
+
+  const fromHeaders = (req) => {
+    const h = String(req.headers.authorization || '');
+    const bearer = /^Bearer\s+(.+)$/i.exec(h);
+    if (bearer) return checkCredentials({ token: bearer[1].trim() });
+    const basic = /^Basic\s+(.+)$/i.exec(h);
+    if (basic) {
+      const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+      const i = decoded.indexOf(':');
+      if (i > 0) return checkCredentials({ user: decoded.slice(0, i), password: decoded.slice(i + 1) });
+    }
+    return null;
+  };
+
+  const sessionCookie = (req, user) => {
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+    return `${COOKIE}=${signer.sign({ user }, SESSION_TTL)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL}${secure}`;
+  };
+
+  return {
+    enabled,
+    basic: !!users,
+
+    // Who sent a request, as { user, via: 'header' | 'cookie' }, or null.
+    // Header credentials win over the session cookie. With access control off
+    // everybody is { user: 'anonymous' }.
+    identify(req) {
+      if (!enabled) return { user: 'anonymous', via: null };
+      const fromHeader = fromHeaders(req);
+      if (fromHeader) return { user: fromHeader, via: 'header' };
+      const session = signer.verify(parseCookies(req.headers.cookie)[COOKIE]);
+      return session ? { user: session.user, via: 'cookie' } : null;
+    },
+
+    // { token } or { user, password } from the login form; returns the
+    // Set-Cookie value, or null for wrong credentials
+    login(req, credentials) {
+      const user = checkCredentials(credentials || {});
+      return user ? sessionCookie(req, user) : null;
+    },
+
+    // Session cookie for a user who authenticated with a header, so a browser
+    // that answered the Basic prompt is logged in like one that used the form
+    sessionFor(req, user) {
+      return sessionCookie(req, user);
+    },
+
+    logoutCookie() {
+      return `${COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+    },
+  };
+}
@@ -0,0 +1,222 @@
+import { EventEmitter } from 'node:events';
+import { promises as fsp } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import {
+  resolveInput,
+  fetchVideoMeta,
+  selectFile,
+  deriveOutputName,
+  downloadCandidate,
+  resolveCollision,
+  reservePath,
+  releasePath,
+} from '../lib/index.js';
+
+// Server-side download queue. Jobs are kept in a JSON file next to the
+// downloads so the queue survives a restart: queued jobs stay queued and jobs
+// that were running start again, resuming their .part files.
+//
+// Every change to a job is emitted as 'update' with the job's public view;
+// progress updates are throttled to a few per second.
+
+const FINAL = new Set(['done', 'failed', 'canceled']);
+const PROGRESS_INTERVAL_MS = 500;
+const JOB_RETRIES = 3;
+
+export function isFinal(job) {
+  return FINAL.has(job.status);
+}
+
+// What the API returns; the runtime field (abort controller) stays private
+function publicJob(job) {
+  const { controller, ...rest } = job;
+  return rest;
+}
+
+export function createJobQueue(opts) {
+  const { dir, stateFile = path.join(dir, '.bvd-jobs.json'), concurrency = 1, log = console.log } = opts;
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const jobs = new Map();
+  let running = 0;
+
+  // Writes are chained so two updates never interleave in the file
+  let saving = Promise.resolve();
+  const persist = () => {
+    const data = JSON.stringify([...jobs.values()].map(publicJob), null, 2);
+    saving = saving
+      .then(() => fsp.mkdir(path.dirname(stateFile), { recursive: true }))
+      .then(() => fsp.writeFile(stateFile, data))
+      .catch((e) => log(`Cannot save job queue: ${e.message}`));
+    return saving;
+  };
+
+  const update = (job, fields, save = true) => {
+    Object.assign(job, fields);
+    events.emit('update', publicJob(job));
+    if (save) persist();
+  };
+
+  const onProgress = (job) => {
+    let lastEmit = 0;
+    return ({ downloaded, total, speed, eta }) => {
+      Object.assign(job, { downloaded, total, speed, eta });
+      const now = Date.now();
+      if (now - lastEmit < PROGRESS_INTERVAL_MS) return;
+      lastEmit = now;
+      // Progress goes to listeners only; the file is rewritten on status changes
+      update(job, {}, false);
+    };
+  };
+
+  const run = async (job) => {
+    job.controller = new AbortController();
+    const { signal } = job.controller;
+    update(job, { status: 'running', startedAt: new Date().toISOString(), error: null, speed: null, eta: null });
+    try {
+      // Files of private videos carry a video file token that expires, so
+      // their URL is looked up again when the job starts over
+      if (!job.file || /[?&]videoFileToken=/.test(job.fileUrl)) {
+        const { host, id } = await resolveInput(job.input);
+        if (!host || !id) throw new Error('Unable to resolve input. Expect Bastyon post URL, peertube://host/uuid or PeerTube URL');
+        const meta = await fetchVideoMeta(host, id, { onAuthExpired: (err) => log(`Job ${job.id}: ${err.message}; continuing without it`) });
+        const chosen = selectFile(meta, { quality: job.quality, audioOnly: job.audioOnly, format: job.format });
+        if (!chosen) throw new Error(job.format ? `No file matches the format selector "${job.format}"` : 'No downloadable files found in PeerTube metadata');
+        // The file name is fixed before the download starts so a restart resumes
+        // the same .part, and reserved so parallel jobs never share it
+        const file = job.file || path.basename(await resolveCollision(path.join(dir, deriveOutputName(meta, chosen)), 'number', { reserve: true }));
+        update(job, {
+          title: meta.name || meta.title || null,
+          file,
+          fileUrl: chosen.fileUrl,
+          source: chosen.source,
+          audioUrl: chosen.audioUrl || null,
+          extractAudio: !!chosen.extractAudio,
+        });
+      }
+      if (signal.aborted) throw signal.reason;
+
+      const outPath = path.join(dir, job.file);
+      const chosen = { fileUrl: job.fileUrl, source: job.source, audioUrl: job.audioUrl, extractAudio: job.extractAudio };
+      const onRetry = (err, delay, attempt) => {
+        log(`Job ${job.id}: connection problem (${err.message}); retrying in ${Math.ceil(delay / 1000)}s [${attempt}/${JOB_RETRIES}]`);
+      };
+      const { bytes } = await downloadCandidate(chosen, outPath, { retries: JOB_RETRIES, signal, onProgress: onProgress(job), onRetry });
+      update(job, { status: 'done', downloaded: bytes, total: bytes, speed: null, eta: 0, finishedAt: new Date().toISOString() });
+    } catch (e) {
+      if (signal.aborted) {
+        if (job.file) {
+          // An audio extraction downloads the video to <file>.video first, HLS
+          // with separate audio both playlists to <file>.hls-*; any of them
+          // may be complete already
+          const steps = [`${job.file}.video`, `${job.file}.hls-video`, `${job.file}.hls-audio`];
+          for (const name of [job.file, ...steps]) {
+            const tmp = path.join(dir, `${name}.part`);
+            await fsp.rm(tmp).catch(() => {});
+            await fsp.rm(`${tmp}.json`).catch(() => {});
+          }
+          for (const name of steps) await fsp.rm(path.join(dir, name)).catch(() => {});
+        }
+        update(job, { status: 'canceled', speed: null, eta: null, finishedAt: new Date().toISOString() });
+      } else {
+        update(job, { status: 'failed', error: e && e.message ? e.message : String(e), speed: null, eta: null, finishedAt: new Date().toISOString() });
+      }
+    } finally {
+      job.controller = null;
+      if (job.file) releasePath(path.join(dir, job.file));
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency) {
+      const job = [...jobs.values()].find((j) => j.status === 'queued');
+      if (!job) return;
+      running++;
+      run(job).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  };
+
+  return {
+    events,
+
+    // Loads the saved queue and starts what is pending
+    async load() {
+      let saved = [];
+      try {
+        saved = JSON.parse(await fsp.readFile(stateFile, 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') log(`Cannot read job queue ${stateFile}: ${e.message}`);
+      }
+      for (const job of Array.isArray(saved) ? saved : []) {
+        if (!job || !job.id) continue;
+        if (job.status === 'running') job.status = 'queued';
+        // A named job waiting to resume keeps its name from new jobs
+        if (job.status === 'queued' && job.file) reservePath(path.join(dir, job.file));
+        jobs.set(job.id, job);
+      }
+      await fsp.mkdir(dir, { recursive: true });
+      pump();
+    },
+
+    list() {
+      return [...jobs.values()].map(publicJob);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? publicJob(job) : null;
+    },
+
+    // `format` is a selector (lib/formats.js); it wins over quality and audioOnly
+    add({ input, quality = null, audioOnly = false, format = null }) {
+      const job = {
+        id: randomUUID(),
+        input,
+        quality: Number(quality) || null,
+        audioOnly: !!audioOnly,
+        format: format || null,
+        status: 'queued',
+        title: null,
+        file: null,
+        fileUrl: null,
+        source: null,
+        audioUrl: null,
+        extractAudio: false,
+        downloaded: 0,
+        total: null,
+        speed: null,
+        eta: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+      };
+      jobs.set(job.id, job);
+      update(job, {});
+      pump();
+      return publicJob(job);
+    },
+
+    // Cancels a queued or running job; a finished job is removed from the list.
+    // Returns false for unknown ids.
+    remove(id) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      if (job.status === 'queued') {
+        if (job.file) releasePath(path.join(dir, job.file));
+        update(job, { status: 'canceled', finishedAt: new Date().toISOString() });
+      } else if (job.status === 'running') {
+        job.controller.abort();
+      } else {
+        jobs.delete(id);
+        events.emit('removed', id);
+        persist();
+      }
+      return true;
+    },
+  };
+}
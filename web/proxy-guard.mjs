@@ -0,0 +1,172 @@
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+import { Readable } from 'node:stream';
+import { createSigner } from './tokens.mjs';
+
+// Guards for the /proxy endpoint. The proxy only serves URLs the server
+// resolved itself: /api/resolve hands out signed, expiring tokens naming the
+// target URL and file name, and /proxy refuses anything else. Every hop is
+// also checked for private, loopback and link-local addresses, after DNS
+// resolution and after each redirect, so a token can never reach the LAN.
+// guardedFetch applies the same checks to the library's own requests
+// (metadata, captions, job downloads) for hosts named by clients.
+
+const MAX_REDIRECTS = 5;
+const HEADERS_TIMEOUT_MS = 30000;
+
+// PROXY_SECRET keeps links valid across restarts
+const signer = createSigner(process.env.PROXY_SECRET);
+
+// Errors for requests the proxy will not serve carry `refused` and an HTTP status
+function refused(message, status = 403) {
+  return Object.assign(new Error(message), { refused: true, status });
+}
+
+function privateTarget(message) {
+  return Object.assign(refused(message), { code: 'ADDRESS_REFUSED' });
+}
+
+export function signProxyToken(url, opts = {}) {
+  const { filename = null, ttl = 6 * 3600 } = opts;
+  return signer.sign({ u: url, f: filename }, ttl);
+}
+
+// Returns { url, filename }; throws a refused error otherwise
+export function verifyProxyToken(token) {
+  if (!token) throw refused('missing token');
+  const data = signer.verify(token);
+  if (!data || !data.u) throw refused('invalid or expired token');
+  return { url: data.u, filename: data.f || null };
+}
+
+const blocked = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+]) blocked.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) blocked.addSubnet(addr, prefix, 'ipv6');
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blocked.check(address, 'ipv4');
+  if (family !== 6) return true;
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) carry an IPv4 address
+  const v4 = /^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (v4) return blocked.check(v4[1], 'ipv4');
+  // The same in hex form, as the URL parser writes it: ::ffff:7f00:1
+  const hex = /^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return blocked.check(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`, 'ipv4');
+  }
+  return blocked.check(address, 'ipv6');
+}
+
+// dns.lookup replacement for http.request: fails when any address the name
+// resolves to is private, so the connection can only go to a checked address
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isPrivateAddress(a.address));
+    if (bad) return callback(privateTarget(`${hostname} resolves to private address ${bad.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkTarget(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw refused('invalid URL', 400);
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw refused(`protocol ${u.protocol} not allowed`);
+  if (u.username || u.password) throw refused('credentials in URL not allowed');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  // Literal addresses never go through lookup
+  if (net.isIP(host) && isPrivateAddress(host)) throw privateTarget(`private address ${host}`);
+  return u;
+}
+
+function request(u, headers, opts = {}) {
+  const { method = 'GET', body = null, signal = null } = opts;
+  const mod = u.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = mod.request(u, { method, headers, signal, lookup: safeLookup }, resolve);
+    req.setTimeout(HEADERS_TIMEOUT_MS, () => req.destroy(Object.assign(new Error('upstream timed out'), { code: 'ETIMEDOUT' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// GETs url with every hop checked. Resolves with the final
+// http.IncomingMessage; the caller streams or destroys it.
+export async function guardedGet(url, headers = {}) {
+  let u = checkTarget(url);
+  for (let hop = 0; ; hop++) {
+    const res = await request(u, headers);
+    const location = res.headers.location;
+    if (res.statusCode < 300 || res.statusCode >= 400 || !location) return res;
+    res.resume();
+    if (hop >= MAX_REDIRECTS) throw refused('too many redirects', 502);
+    u = checkTarget(new URL(location, u).toString());
+  }
+}
+
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// fetch() for lib/net.js setFetch: plain-object headers and string bodies, as
+// the library sends them, with guardedGet's checks on every hop. Redirects are
+// followed like fetch does, turning a POST into a GET on 301, 302 and 303.
+export async function guardedFetch(url, init = {}) {
+  let { method = 'GET', body = null } = init;
+  const { signal = null } = init;
+  const headers = Object.fromEntries(new Headers(init.headers || {}));
+  let u = checkTarget(String(url));
+  for (let hop = 0; ; hop++) {
+    const res = await request(u, headers, { method, body, signal });
+    const location = res.headers.location;
+    if (res.statusCode < 300 || res.statusCode >= 400 || !location) {
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(res.headers)) {
+        for (const v of [].concat(value)) responseHeaders.append(name, v);
+      }
+      const empty = method === 'HEAD' || NULL_BODY_STATUSES.has(res.statusCode);
+      if (empty) res.resume();
+      return new Response(empty ? null : Readable.toWeb(res), {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers: responseHeaders,
+      });
+    }
+    res.resume();
+    if (hop >= MAX_REDIRECTS) throw refused('too many redirects', 502);
+    if (res.statusCode === 303 || (method === 'POST' && res.statusCode <= 302)) {
+      method = 'GET';
+      body = null;
+      delete headers['content-type'];
+    }
+    const next = checkTarget(new URL(location, u).toString());
+    // Like fetch, credentials stay with the origin they were meant for
+    if (next.origin !== u.origin) delete headers.authorization;
+    u = next;
+  }
+}
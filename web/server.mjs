@@ -3,15 +3,52 @@ import { readFile, stat as statCb } from 'node:fs';
 import { promises as fsp } from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { Readable } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
+import { defaultRpcPool } from '../lib/rpc.js';
+import { getRateLimiter, getHostPacer, parseRate, throttleStream } from '../lib/throttle.js';
+import { createJobQueue, isFinal } from './jobs.mjs';
+import { signProxyToken, verifyProxyToken, guardedGet, guardedFetch } from './proxy-guard.mjs';
+import { resolveInput, fetchVideoMeta, fetchCaptions, listFormats, selectFile, parseFormatSelector, deriveOutputName, setFetch, errorCode, ERROR_CODES } from '../lib/index.js';
+import { getDefaultTokenStore } from '../lib/peertube-auth.js';
+import { loadSubscriptions, saveSubscriptions, normalizeSubscriptions, checkSubscriptionPaths, watchPaths, loadWatchState } from '../lib/subscriptions.js';
+import { createAuth } from './auth.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const webRoot = __dirname; // serve files from web/
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 5173;
-const RPC_TARGET = process.env.BASTYON_RPC || 'https://5.pocketnet.app:8899';
+// Only this machine by default; HOST=0.0.0.0 opens the server to the network
+const HOST = process.env.HOST || 'localhost';
+// Origins allowed to call the server from other pages (CORS), comma separated
+const CORS_ORIGINS = new Set((process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean));
+const auth = await createAuth({
+  token: process.env.AUTH_TOKEN || null,
+  usersFile: process.env.AUTH_USERS_FILE || null,
+  secret: process.env.AUTH_SECRET || null,
+});
+// Reachable without logging in when access control is on
+const PUBLIC_PATHS = new Set(['/login', '/login.html']);
+// BASTYON_RPC_NODES (comma separated) or BASTYON_RPC pick the nodes, see lib/rpc.js
+const rpcPool = defaultRpcPool();
+// Clients name the PeerTube hosts, so the library's metadata, caption and job
+// download requests get the /proxy address checks too
+setFetch(guardedFetch);
+const RPC_HEALTH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Server-side downloads: DOWNLOAD_DIR receives the files, JOB_CONCURRENCY of
+// them run at once. The queue itself is saved in DOWNLOAD_DIR/.bvd-jobs.json.
+const DOWNLOAD_DIR = path.resolve(process.env.DOWNLOAD_DIR || 'downloads');
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) > 0 ? Number(process.env.JOB_CONCURRENCY) : 1;
+const jobQueue = createJobQueue({ dir: DOWNLOAD_DIR, concurrency: JOB_CONCURRENCY });
+const MAX_JSON_BODY = 64 * 1024;
+
+// The subscriptions file of `bvd watch`, edited through /api/subscriptions.
+// The watcher notices changes by itself; this server only reads its state.
+const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE ? path.resolve(process.env.SUBSCRIPTIONS_FILE) : null;
+
+// Lifetime of /proxy links handed out by /api/resolve
+const PROXY_TOKEN_TTL = Number(process.env.PROXY_TOKEN_TTL) > 0 ? Number(process.env.PROXY_TOKEN_TTL) : 6 * 3600;
 
 function contentType(p) {
   const ext = path.extname(p).toLowerCase();
@@ -27,15 +64,313 @@ function contentType(p) {
   }
 }
 
-function setCors(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+// Same-origin requests need no CORS headers; other origins only get them when listed
+function setCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || !CORS_ORIGINS.has(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With, Authorization');
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(value));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_JSON_BODY) throw Object.assign(new Error('Request body too large'), { status: 413 });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// API bodies must be sent as application/json. Forms and text/plain are
+// "simple" requests a foreign page can send without a CORS preflight, so
+// taking them would let any site queue jobs or edit subscriptions (CSRF).
+function checkJsonType(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') {
+    throw Object.assign(new Error('Expected Content-Type: application/json'), { status: 415 });
+  }
+}
+
+async function readJson(req) {
+  checkJsonType(req);
+  const text = await readBody(req);
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+  }
+}
+
+// POST /login takes the login form (urlencoded) or JSON; POST /logout ends the session
+async function handleLogin(req, res, pathname) {
+  if (req.method !== 'POST') return false;
+  if (pathname === '/logout') {
+    res.writeHead(303, { 'Set-Cookie': auth.logoutCookie(), Location: '/login' });
+    res.end();
+    return true;
+  }
+  const isJson = /json/i.test(req.headers['content-type'] || '');
+  const text = await readBody(req);
+  let fields;
+  try {
+    fields = isJson ? JSON.parse(text || '{}') : Object.fromEntries(new URLSearchParams(text));
+  } catch {
+    fields = {};
+  }
+  const cookie = auth.login(req, { token: fields.token, user: fields.user, password: fields.password });
+  if (!cookie) {
+    console.log(`Failed login from ${req.socket.remoteAddress}${fields.user ? ` as ${String(fields.user).slice(0, 64)}` : ''}`);
+    if (isJson) {
+      sendJson(res, 401, { error: 'Wrong credentials' });
+    } else {
+      res.writeHead(303, { Location: '/login?failed=1' });
+      res.end();
+    }
+    return true;
+  }
+  if (isJson) {
+    res.setHeader('Set-Cookie', cookie);
+    sendJson(res, 200, { ok: true });
+  } else {
+    res.writeHead(303, { 'Set-Cookie': cookie, Location: '/' });
+    res.end();
+  }
+  return true;
+}
+
+// Answers requests without valid credentials: pages go to the login form,
+// everything else gets a 401
+function requireLogin(req, res) {
+  if (req.headers.authorization) console.log(`Rejected credentials from ${req.socket.remoteAddress} for ${req.method} ${req.url}`);
+  const wantsPage = req.method === 'GET' && /text\/html/.test(req.headers.accept || '');
+  if (wantsPage) {
+    res.writeHead(303, { Location: '/login' });
+    res.end();
+    return;
+  }
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+  if (auth.basic) headers['WWW-Authenticate'] = 'Basic realm="bvd", charset="UTF-8"';
+  res.writeHead(401, headers);
+  res.end(JSON.stringify({ error: 'Login required' }));
+}
+
+// GET /api/jobs/:id/events: the job as it is now, then every change until it
+// finishes, as Server-Sent Events named "job"
+function streamJobEvents(req, res, id) {
+  const job = jobQueue.get(id);
+  if (!job) return sendJson(res, 404, { error: 'Job not found' });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const send = (j) => res.write(`event: job\ndata: ${JSON.stringify(j)}\n\n`);
+  send(job);
+  if (isFinal(job)) return res.end();
+
+  const onUpdate = (j) => {
+    if (j.id !== id) return;
+    send(j);
+    if (isFinal(j)) close();
+  };
+  const onRemoved = (removedId) => {
+    if (removedId === id) close();
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    clearInterval(keepAlive);
+    jobQueue.events.off('update', onUpdate);
+    jobQueue.events.off('removed', onRemoved);
+    res.end();
+  };
+  jobQueue.events.on('update', onUpdate);
+  jobQueue.events.on('removed', onRemoved);
+  req.on('close', close);
+}
+
+// The server's stored logins are the operator's; an expired one goes to the log
+const logExpiredLogin = (e) => console.log(`${e.message}; continuing without it`);
+
+const proxyLink = (url, filename) => `/proxy?token=${signProxyToken(url, { filename, ttl: PROXY_TOKEN_TTL })}`;
+
+// GET /api/resolve?url=INPUT: resolves a post or PeerTube URL on the server and
+// returns what the UI shows, with signed /proxy links for the files it found
+// `format` is an optional selector (lib/formats.js); `selected` in the
+// response is the index of the candidate it picks (the default pick without one)
+async function handleResolve(res, input, format) {
+  if (!input) return sendJson(res, 400, { error: 'Missing url' });
+  if (format) {
+    try {
+      parseFormatSelector(format);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message, code: e.code });
+    }
+  }
+  const { host, id, txid } = await resolveInput(input);
+  if (!host || !id) return sendJson(res, 400, { error: 'Unable to resolve input. Check the URL.' });
+  const meta = await fetchVideoMeta(host, id, { onAuthExpired: logExpiredLogin });
+  const chosen = selectFile(meta, { format });
+  const candidates = listFormats(meta).map((c) => {
+    const filename = deriveOutputName(meta, c);
+    // HLS playlists are assembled by the server queue, not streamed as one file
+    return { ...c, filename, proxyUrl: c.source === 'hls' ? null : proxyLink(c.fileUrl, filename) };
+  });
+  const base = candidates.length ? candidates[0].filename.replace(/\.[a-z0-9]+$/i, '') : 'video';
+  const captions = (await fetchCaptions(host, id, { onAuthExpired: logExpiredLogin }).catch(() => [])).map((c) => {
+    const filename = `${base}.${c.lang}.vtt`;
+    return { ...c, filename, proxyUrl: proxyLink(c.url, filename) };
+  });
+  const thumb = meta.previewPath || meta.thumbnailPath;
+  return sendJson(res, 200, {
+    host,
+    id,
+    txid: txid || null,
+    title: meta.name || meta.title || '',
+    description: meta.description || '',
+    thumbnailUrl: thumb ? (/^https?:\/\//.test(thumb) ? thumb : host + thumb) : null,
+    candidates,
+    selected: chosen ? candidates.findIndex((c) => c.fileUrl === chosen.fileUrl) : null,
+    captions,
+  });
+}
+
+// Refused proxy requests are logged with the client address
+function refuseProxy(req, res, target, e) {
+  console.log(`Proxy refused ${target || '-'} for ${req.socket.remoteAddress}: ${e.message}`);
+  res.writeHead(e.status || 403, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(`Proxy refused: ${e.message}`);
+}
+
+async function handleJobsApi(req, res, pathname) {
+  if (pathname === '/api/jobs') {
+    if (req.method === 'GET') return sendJson(res, 200, jobQueue.list());
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const input = typeof body.url === 'string' ? body.url.trim() : '';
+      if (!input) return sendJson(res, 400, { error: 'Missing url' });
+      const format = typeof body.format === 'string' && body.format.trim() ? body.format.trim() : null;
+      if (format) {
+        try {
+          parseFormatSelector(format);
+        } catch (e) {
+          return sendJson(res, 400, { error: e.message, code: e.code });
+        }
+      }
+      return sendJson(res, 201, jobQueue.add({ input, quality: body.quality, audioOnly: body.audioOnly, format }));
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+  const m = /^\/api\/jobs\/([^/]+)(\/events)?$/.exec(pathname);
+  if (!m) return sendJson(res, 404, { error: 'Not found' });
+  const id = decodeURIComponent(m[1]);
+  if (m[2]) {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+    return streamJobEvents(req, res, id);
+  }
+  if (req.method === 'GET') {
+    const job = jobQueue.get(id);
+    return job ? sendJson(res, 200, job) : sendJson(res, 404, { error: 'Job not found' });
+  }
+  if (req.method === 'DELETE') {
+    return jobQueue.remove(id) ? sendJson(res, 200, jobQueue.get(id) || { id, removed: true }) : sendJson(res, 404, { error: 'Job not found' });
+  }
+  return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+async function readSubscriptions() {
+  try {
+    return await loadSubscriptions(SUBSCRIPTIONS_FILE);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { subscriptions: [] };
+    throw e;
+  }
+}
+
+// Edits run one after another so two requests cannot drop each other's
+// change. `fn` returns the new document, or the current one to change nothing.
+let subscriptionsWrite = Promise.resolve();
+function editSubscriptions(fn) {
+  const run = subscriptionsWrite.then(async () => {
+    const current = await readSubscriptions();
+    const doc = fn(current);
+    if (doc === current) return current;
+    await saveSubscriptions(SUBSCRIPTIONS_FILE, doc);
+    return normalizeSubscriptions(doc);
+  });
+  subscriptionsWrite = run.catch(() => {});
+  return run;
+}
+
+// What POST may set on a new subscription; its url is taken separately
+const SUBSCRIPTION_FIELDS = ['name', 'interval', 'max', 'output', 'format', 'quality', 'audioOnly', 'since', 'enabled'];
+
+// GET: the list with the watcher's state. PUT: replace the whole document.
+// POST: add one subscription. DELETE ?url=: remove one. Output and archive
+// paths sent here must stay inside the file's directory (checkSubscriptionPaths).
+async function handleSubscriptionsApi(req, res, searchParams) {
+  if (!SUBSCRIPTIONS_FILE) return sendJson(res, 404, { error: 'Subscriptions are off; set SUBSCRIPTIONS_FILE' });
+  const reply = async (status, doc) => {
+    const state = await loadWatchState(watchPaths(SUBSCRIPTIONS_FILE, doc).state);
+    sendJson(res, status, { ...doc, state });
+  };
+  try {
+    if (req.method === 'GET') return await reply(200, await readSubscriptions());
+    if (req.method === 'PUT') {
+      const body = await readJson(req);
+      return await reply(200, await editSubscriptions((current) => {
+        const doc = normalizeSubscriptions(body);
+        checkSubscriptionPaths(doc, current);
+        return doc;
+      }));
+    }
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const url = body && typeof body.url === 'string' ? body.url.trim() : '';
+      if (!url) return sendJson(res, 400, { error: 'Missing url' });
+      const sub = { url };
+      for (const k of SUBSCRIPTION_FIELDS) if (body[k] !== undefined) sub[k] = body[k];
+      let exists = false;
+      const doc = await editSubscriptions((current) => {
+        exists = current.subscriptions.some((s) => s.url === url);
+        if (exists) return current;
+        const next = normalizeSubscriptions({ ...current, subscriptions: [...current.subscriptions, sub] });
+        checkSubscriptionPaths(next, current);
+        return next;
+      });
+      if (exists) return sendJson(res, 409, { error: `${url} is already subscribed` });
+      return await reply(201, doc);
+    }
+    if (req.method === 'DELETE') {
+      const url = (searchParams.get('url') || '').trim();
+      let found = false;
+      const doc = await editSubscriptions((current) => {
+        found = current.subscriptions.some((s) => s.url === url);
+        return found ? { ...current, subscriptions: current.subscriptions.filter((s) => s.url !== url) } : current;
+      });
+      if (!found) return sendJson(res, 404, { error: 'Subscription not found' });
+      return await reply(200, doc);
+    }
+  } catch (e) {
+    if (e.code === 'BAD_SUBSCRIPTIONS') return sendJson(res, 400, { error: e.message, code: e.code });
+    throw e;
+  }
+  return sendJson(res, 405, { error: 'Method not allowed' });
 }
 
 const server = http.createServer(async (req, res) => {
   try {
-    setCors(res);
+    setCors(req, res);
 
     // Preflight
     if (req.method === 'OPTIONS') {
@@ -44,13 +379,33 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    // Proxy Bastyon RPC: /rpc/* -> RPC_TARGET + /rpc/*
+    const { pathname } = new URL(req.url || '/', `http://localhost:${PORT}`);
+    if ((pathname === '/login' || pathname === '/logout') && (await handleLogin(req, res, pathname))) return;
+    if (pathname === '/login') req.url = '/login.html';
+
+    // Everything below needs a login when access control is on
+    if (!PUBLIC_PATHS.has(pathname)) {
+      const who = auth.identify(req);
+      if (!who) return requireLogin(req, res);
+      if (who.via === 'header' && /^Basic /i.test(req.headers.authorization || '')) res.setHeader('Set-Cookie', auth.sessionFor(req, who.user));
+    }
+
+    if (pathname === '/api/session') return sendJson(res, 200, { auth: auth.enabled, user: auth.identify(req).user });
+
+    // Proxy Bastyon RPC: /rpc/* -> first healthy node + /rpc/*
     if (req.url && req.url.startsWith('/rpc/')) {
-      const targetUrl = RPC_TARGET.replace(/\/$/, '') + req.url;
+      // Calls with a body get the same CSRF check as the API
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        try {
+          checkJsonType(req);
+        } catch (e) {
+          return sendJson(res, e.status, { error: e.message });
+        }
+      }
       const chunks = [];
       for await (const chunk of req) chunks.push(chunk);
       const body = Buffer.concat(chunks);
-      const r = await fetch(targetUrl, {
+      const r = await rpcPool.forward(req.url, {
         method: req.method || 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -65,36 +420,79 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    // Generic proxy for cross-origin downloads: /proxy?url=ENCODED[&filename=NAME]
-    if (req.url && req.url.startsWith('/proxy')) {
+    if (req.url && req.url.startsWith('/api/resolve')) {
       const u = new URL(req.url, `http://localhost:${PORT}`);
-      const target = u.searchParams.get('url');
-      const filename = u.searchParams.get('filename');
-      if (!target) {
-        res.writeHead(400);
-        res.end('Missing url');
+      if (u.pathname === '/api/resolve') {
+        try {
+          await handleResolve(res, (u.searchParams.get('url') || '').trim(), (u.searchParams.get('format') || '').trim() || null);
+        } catch (e) {
+          // Upstream answers and addresses stay in the server log; the client
+          // gets the stable code and its generic description
+          const code = errorCode(e);
+          console.log(`Resolve failed for ${req.socket.remoteAddress}: ${e && e.message ? e.message : e}`);
+          // A video this server's logins cannot see is the client's problem, not an upstream failure
+          const forbidden = ['VIDEO_PRIVATE', 'VIDEO_PASSWORD', 'ADDRESS_REFUSED'].includes(code);
+          const status = code === 'BAD_INPUT' ? 400 : code === 'VIDEO_NOT_FOUND' || code === 'POST_NOT_FOUND' ? 404 : forbidden ? 403 : 502;
+          sendJson(res, status, { error: ERROR_CODES[code], code });
+        }
         return;
       }
-      const upstream = await fetch(target, { headers: { Accept: '*/*' } });
-      const ct = upstream.headers.get('content-type') || 'application/octet-stream';
-      const cl = upstream.headers.get('content-length');
-      res.statusCode = upstream.status;
-      res.setHeader('Content-Type', ct);
-      if (cl) res.setHeader('Content-Length', cl);
+    }
+
+    // Server-side download queue: /api/jobs[/:id[/events]]
+    if (req.url && (req.url === '/api/jobs' || req.url.startsWith('/api/jobs/') || req.url.startsWith('/api/jobs?'))) {
+      const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+      try {
+        await handleJobsApi(req, res, pathname);
+      } catch (e) {
+        sendJson(res, e.status || 500, { error: e.message });
+      }
+      return;
+    }
+
+    if (pathname === '/api/subscriptions') {
+      const { searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+      try {
+        await handleSubscriptionsApi(req, res, searchParams);
+      } catch (e) {
+        sendJson(res, e.status || 500, { error: e.message });
+      }
+      return;
+    }
+
+    // Proxy for cross-origin downloads: /proxy?token=TOKEN, where the token is a
+    // signed { url, filename } issued by /api/resolve (see proxy-guard.mjs)
+    if (req.url && req.url.startsWith('/proxy')) {
+      const u = new URL(req.url, `http://localhost:${PORT}`);
+      let target = null;
+      let upstream;
+      let filename;
+      try {
+        ({ url: target, filename } = verifyProxyToken(u.searchParams.get('token')));
+        // Pass Range through so players can seek
+        const headers = { Accept: '*/*' };
+        if (req.headers.range) headers.Range = req.headers.range;
+        upstream = await guardedGet(target, headers);
+      } catch (e) {
+        if (e.refused) return refuseProxy(req, res, target, e);
+        throw e;
+      }
+      res.statusCode = upstream.statusCode;
+      res.setHeader('Content-Type', upstream.headers['content-type'] || 'application/octet-stream');
+      for (const h of ['content-length', 'content-range', 'accept-ranges']) {
+        if (upstream.headers[h]) res.setHeader(h, upstream.headers[h]);
+      }
       if (filename) {
         // Instruct browser to download with suggested filename
         // Sanitize filename to avoid CRLF/header injection
-        const safe = String(filename).replace(/[\r\n]/g, ' ').trim();
-        res.setHeader('Content-Disposition', `attachment; filename="${safe}"`);
-      }
-      const body = upstream.body;
-      if (body) {
-        const nodeReadable = Readable.fromWeb(body);
-        await pipeline(nodeReadable, res);
-      } else {
-        const text = await upstream.text().catch(() => '');
-        res.end(text);
+        // Headers are Latin-1: an ASCII fallback plus the UTF-8 name (RFC 6266)
+        const safe = String(filename).replace(/[\r\n"]/g, ' ').trim();
+        const ascii = safe.replace(/[^\x20-\x7e]/g, '_');
+        res.setHeader('Content-Disposition', `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(safe)}`);
       }
+      // Proxied bytes count against the same bandwidth limit as the job downloads.
+      // A client that goes away mid-file is not a server error.
+      await pipeline(upstream, throttleStream(), res).catch(() => res.destroy());
       return;
     }
 
@@ -145,13 +543,42 @@ const server = http.createServer(async (req, res) => {
     const data = await fsp.readFile(fsPath);
     res.end(data);
   } catch (e) {
+    // Too late for an error page once a response has started
+    if (res.headersSent) return res.destroy();
     res.writeHead(500);
     res.end(String(e && e.message ? e.message : e));
   }
 });
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Web UI: http://localhost:${PORT}`);
-  console.log(`Web UI: http://0.0.0.0:${PORT} (accessible from network)`);
-  console.log(`Proxying Bastyon RPC at /rpc/ -> ${RPC_TARGET}`);
+server.listen(PORT, HOST, () => {
+  console.log(`Web UI: http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`);
+  const local = ['localhost', '127.0.0.1', '::1'].includes(HOST);
+  if (!local) console.log('Listening beyond this machine' + (auth.enabled ? '' : ' WITHOUT access control; set AUTH_TOKEN or AUTH_USERS_FILE'));
+  if (auth.enabled) console.log(`Access control: ${[process.env.AUTH_TOKEN && 'token', auth.basic && 'users file'].filter(Boolean).join(' and ')}`);
+  console.log(`Proxying Bastyon RPC at /rpc/ -> ${rpcPool.nodes.join(', ')}`);
+  console.log(`Server-side downloads go to ${DOWNLOAD_DIR}`);
+  // Logins made with `bvd login` (BVD_TOKENS_FILE) open private and internal
+  // videos of those instances to everybody who can use this server
+  getDefaultTokenStore().hosts().then((hosts) => {
+    if (hosts.length) console.log(`PeerTube logins: ${hosts.join(', ')}${auth.enabled ? '' : ' (set AUTH_TOKEN or AUTH_USERS_FILE to keep their private videos private)'}`);
+  }).catch((e) => console.log(`Cannot read PeerTube logins: ${e.message}`));
+  if (SUBSCRIPTIONS_FILE) console.log(`Subscriptions: ${SUBSCRIPTIONS_FILE} (run bvd watch on it to download)`);
+  // BVD_LIMIT_RATE caps /proxy streams and job downloads together;
+  // BVD_SLEEP_REQUESTS and BVD_HOST_CONCURRENCY pace metadata and RPC requests
+  const limiter = getRateLimiter();
+  if (limiter) console.log(`Bandwidth limit: ${limiter.rate} bytes/s`);
+  else if (Number.isNaN(parseRate(process.env.BVD_LIMIT_RATE))) console.log(`Ignoring BVD_LIMIT_RATE=${process.env.BVD_LIMIT_RATE}; expected e.g. 500K or 2M`);
+  const pacer = getHostPacer();
+  if (pacer.delay) console.log(`Requests to one host: at most ${pacer.concurrency} at a time, ${pacer.delay / 1000}s apart`);
 });
+
+jobQueue.load().catch((e) => console.log(`Cannot start the download queue: ${e.message}`));
+
+// Periodic health check so /rpc/ requests skip dead or lagging nodes up front
+async function checkRpcNodes() {
+  const results = await rpcPool.probe().catch(() => []);
+  const down = results.filter((r) => !r.ok);
+  if (down.length) console.log(`Bastyon RPC nodes down: ${down.map((r) => `${r.node} (${r.error})`).join(', ')}`);
+}
+checkRpcNodes();
+setInterval(checkRpcNodes, RPC_HEALTH_INTERVAL_MS).unref();
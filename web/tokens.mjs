@@ -0,0 +1,42 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Signed, expiring tokens: base64url(JSON payload) "." base64url(HMAC-SHA256).
+// Used for /proxy links and login cookies; each use has its own secret.
+
+// A secret from the environment keeps tokens valid across restarts; without
+// one every start signs with a fresh random key
+export function createSigner(secretText) {
+  const secret = secretText ? Buffer.from(secretText) : randomBytes(32);
+  const mac = (payload) => createHmac('sha256', secret).update(payload).digest();
+
+  return {
+    sign(data, ttl) {
+      const payload = Buffer.from(JSON.stringify({ ...data, e: Math.floor(Date.now() / 1000) + ttl })).toString('base64url');
+      return `${payload}.${mac(payload).toString('base64url')}`;
+    },
+
+    // Returns the signed data, or null for a malformed, forged or expired token
+    verify(token) {
+      const [payload, sig] = String(token || '').split('.');
+      if (!payload || !sig) return null;
+      const expected = mac(payload);
+      const given = Buffer.from(sig, 'base64url');
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+      let data;
+      try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+      if (!data || !data.e || data.e < Date.now() / 1000) return null;
+      return data;
+    },
+  };
+}
+
+// Constant-time string comparison for passwords and shared tokens. Both sides
+// are hashed first, so not even the length of the secret shows in the timing.
+export function safeEqual(a, b) {
+  const digest = (s) => createHash('sha256').update(String(s)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
@@ -1,102 +1,15 @@
-// Minimal browser module for resolving Bastyon posts to PeerTube, listing qualities, and downloading.
+// Minimal browser module for the web UI: resolves Bastyon posts and PeerTube links through the server, lists qualities, and downloads.
 
-const PEERTUBE_SCHEME = 'peertube://';
-
-function ensureHttps(host) {
-  if (!host) return null;
-  if (host.startsWith('http://') || host.startsWith('https://')) return host.replace('http://', 'https://');
-  return `https://${host}`;
-}
-
-function parseInput(input) {
-  if (!input) return { host: null, id: null };
-  if (input.startsWith(PEERTUBE_SCHEME)) {
-    const rest = input.slice(PEERTUBE_SCHEME.length);
-    const [host, id] = rest.split('/');
-    return { host: ensureHttps(host), id };
-  }
-  try {
-    const u = new URL(input);
-    const host = ensureHttps(u.host);
-    const parts = u.pathname.split('/').filter(Boolean);
-    let id = null;
-    const patterns = [ ['w'], ['videos', 'watch'], ['videos', 'embed'], ['api', 'v1', 'videos'] ];
-    for (const p of patterns) {
-      const idx = parts.findIndex((seg, i) => p.every((pp, j) => parts[i + j] === pp));
-      if (idx !== -1 && parts[idx + p.length]) { id = parts[idx + p.length]; break; }
-    }
-    if (!id && parts.length) id = parts[parts.length - 1];
-    return { host, id };
-  } catch {
-    return { host: null, id: null };
-  }
-}
-
-function extractBastyonPostTx(input) {
-  try {
-    const u = new URL(input);
-    const host = (u.host || '').toLowerCase();
-    const isBastyon = host.endsWith('bastyon.com') || host.endsWith('pocketnet.app');
-    const p = u.pathname.replace(/\/+$/, '');
-    const isAllowedPath = p === '/post' || p === '/index';
-    if (!isBastyon || !isAllowedPath) return null;
-    return u.searchParams.get('s') || u.searchParams.get('v') || u.searchParams.get('i') || null;
-  } catch {
-    return null;
-  }
-}
-
-async function bastyonRpcCall(method, parameters, rpcBase = '') {
-  const base = rpcBase.endsWith('/') ? rpcBase : rpcBase + '/';
-  const url = base + 'rpc/' + method;
-  const r = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'x-no-compression': '1' },
-    body: JSON.stringify({ method, parameters }),
-  });
-  if (!r.ok) {
-    const t = await r.text().catch(() => '');
-    throw new Error(`Bastyon RPC error ${r.status}: ${t || r.statusText}`);
-  }
-  const j = await r.json();
-  if (j && j.result != null && j.data != null) return j.data;
-  if (Array.isArray(j)) return j;
-  if (j && j.data != null) return j.data;
-  throw new Error('Unexpected Bastyon RPC response');
-}
-
-async function resolveBastyonPost(txid, options = {}) {
-  if (!txid) throw new Error('Missing Bastyon post txid');
-  const { rpcBase } = options;
-  const data = await bastyonRpcCall('getrawtransactionwithmessagebyid', [[txid]], rpcBase);
-  if (!Array.isArray(data) || !data.length) throw new Error('Post not found');
-  const post = data[0] || {};
-  const u = post.u ? decodeURIComponent(post.u) : null;
-  if (!u) throw new Error('Post has no external video URL');
-  const { host, id } = parseInput(u);
-  if (!host || !id) throw new Error('Unable to parse video URL from post');
-  return { host, id, resolvedFrom: u };
-}
-
-async function resolveInput(input, options = {}) {
-  const tx = extractBastyonPostTx(input);
-  if (tx) {
-    const { host, id } = await resolveBastyonPost(tx, options);
-    return { host, id };
-  }
-  return parseInput(input);
-}
-
-async function fetchVideoMeta(host, id) {
-  if (!host || !id) throw new Error('Missing host or id');
-  const base = ensureHttps(host);
-  const url = `${base}/api/v1/videos/${encodeURIComponent(id)}`;
-  const r = await fetch(url, { headers: { Accept: 'application/json' } });
-  if (!r.ok) {
-    const t = await r.text().catch(() => '');
-    throw new Error(`PeerTube API error ${r.status}: ${t || r.statusText}`);
-  }
-  return await r.json();
+// Resolution happens on the server (GET /api/resolve), which also signs the
+// /proxy links; the browser never asks the proxy for a URL of its own.
+// `format` is an optional selector (see lib/formats.js) the server uses to
+// name the preferred candidate in `selected`.
+async function resolveOnServer(input, format) {
+  const query = `url=${encodeURIComponent(input)}${format ? `&format=${encodeURIComponent(format)}` : ''}`;
+  const r = await fetch(`/api/resolve?${query}`, { headers: { Accept: 'application/json' } });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(j.error || `Server error ${r.status}`);
+  return j;
 }
 
 function urlExt(u) {
@@ -107,33 +20,6 @@ function urlExt(u) {
   } catch { return ''; }
 }
 
-function buildCandidates(meta) {
-  const candidates = [];
-  const pushFile = (f) => {
-    if (!f) return;
-    const fileUrl = f.fileDownloadUrl || f.fileUrl || f.url || f.src || null;
-    const mimeType = f.mimeType || f.type || '';
-    const size = f.size || f.filesize || null;
-    const height = (f.resolution && (f.resolution.id || f.resolution.label)) || f.height || null;
-    const fps = f.fps || null;
-    if (!fileUrl) return;
-    candidates.push({ fileUrl, mimeType, size, height: Number(height) || null, fps });
-  };
-  if (Array.isArray(meta.files)) for (const f of meta.files) pushFile(f);
-  if (Array.isArray(meta.streamingPlaylists)) {
-    for (const pl of meta.streamingPlaylists) {
-      if (Array.isArray(pl.files)) for (const f of pl.files) pushFile(f);
-    }
-  }
-  // sort by https+mp4+height
-  const score = (c) => {
-    const isMp4 = urlExt(c.fileUrl) === '.mp4' || /mp4/.test(c.mimeType || '');
-    const isHttps = c.fileUrl.startsWith('https://');
-    return (isHttps ? 2 : 0) + (isMp4 ? 3 : 0) + (c.height || 0) / 10000;
-  };
-  return candidates.sort((a, b) => score(b) - score(a));
-}
-
 function humanSize(n) {
   if (!n || !Number(n)) return '';
   const units = ['B','KB','MB','GB'];
@@ -142,45 +28,19 @@ function humanSize(n) {
   return `${v.toFixed(v >= 100 ? 0 : v >= 10 ? 1 : 2)} ${units[i]}`;
 }
 
-function deriveOutputName(meta, chosen) {
-  const base = String(meta.name || meta.title || meta.uuid || 'video').replace(/[\/:*?"<>|\u0000-\u001F]/g, ' ').trim().slice(0, 120) || 'video';
-  const ext = urlExt(chosen.fileUrl) || '.mp4';
-  return `${base}${ext}`;
-}
-
-async function downloadWithProgress(url, filename, onProgress) {
-  // Use local proxy to avoid CORS
-  const r = await fetch(`/proxy?url=${encodeURIComponent(url)}`, { headers: { Accept: '*/*' } });
-  if (!r.ok || !r.body) {
-    const t = await r.text().catch(() => '');
-    throw new Error(`Download error ${r.status}: ${t || r.statusText}`);
-  }
-  const total = Number(r.headers.get('content-length')) || null;
-  const reader = r.body.getReader();
-  const chunks = [];
-  let downloaded = 0;
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
-    downloaded += value.length;
-    if (total && onProgress) onProgress(downloaded, total);
-  }
-  const blob = new Blob(chunks);
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => {
-    URL.revokeObjectURL(a.href);
-    a.remove();
-  }, 0);
+function formatDuration(sec) {
+  if (sec == null || !Number.isFinite(sec)) return '';
+  const s = Math.max(0, Math.round(sec));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
 }
 
 // UI wiring
 const el = (id) => document.getElementById(id);
 const $url = el('url');
+const $format = el('format');
 const $resolve = el('resolve');
 const $info = el('info');
 const $thumb = el('thumb');
@@ -194,8 +54,15 @@ const $progressText = el('progressText');
 const $error = el('error');
 const $dlLink = el('dlLink');
 const $copyLink = el('copyLink');
+const $captions = el('captions');
+const $saveServer = el('saveServer');
+const $jobs = el('jobs');
+const $jobList = el('jobList');
+const $subs = el('subs');
+const $subList = el('subList');
+const $subUrl = el('subUrl');
 
-let current = { host: null, id: null, meta: null, candidates: [] };
+let current = { host: null, id: null, candidates: [] };
 
 function setError(msg) {
   $error.textContent = msg || '';
@@ -209,17 +76,26 @@ function setDownloading(state) {
   $download.disabled = state;
 }
 
-function fillQualities(candidates) {
+// The format selector is remembered between visits
+const FORMAT_KEY = 'bvd.format';
+try { $format.value = localStorage.getItem(FORMAT_KEY) || ''; } catch {}
+$format.addEventListener('change', () => {
+  try { localStorage.setItem(FORMAT_KEY, $format.value.trim()); } catch {}
+});
+
+function fillQualities(candidates, selected) {
   $quality.innerHTML = '';
   const opts = [];
   for (const c of candidates) {
     // Only video (has height) for selection. If no height, show as "auto"
     const labelParts = [];
+    if (c.kind === 'audio') labelParts.push('Audio');
     if (c.height) labelParts.push(`${c.height}p`);
     const isMp4 = urlExt(c.fileUrl) === '.mp4' || /mp4/.test(c.mimeType || '');
     if (isMp4) labelParts.push('MP4');
     if (c.fps) labelParts.push(`${c.fps}fps`);
     if (c.size) labelParts.push(humanSize(c.size));
+    if (c.source === 'hls') labelParts.push('HLS, server only');
     const label = labelParts.join(' · ') || 'auto';
     const opt = document.createElement('option');
     opt.value = c.fileUrl;
@@ -233,16 +109,43 @@ function fillQualities(candidates) {
     seen.add(opt.value);
     $quality.appendChild(opt);
   }
+  const preferred = candidates.find((c) => c.index === selected);
+  if (preferred) $quality.value = preferred.fileUrl;
   $quality.disabled = $quality.options.length === 0;
 }
 
+function fillCaptions(captions) {
+  $captions.innerHTML = '';
+  if (!captions.length) {
+    $captions.classList.add('hidden');
+    return;
+  }
+  $captions.appendChild(document.createTextNode('Captions: '));
+  // The server names them after the video file so players pick them up automatically
+  for (const c of captions) {
+    const a = document.createElement('a');
+    a.href = c.proxyUrl;
+    a.textContent = c.label;
+    a.title = c.filename;
+    $captions.appendChild(a);
+  }
+  $captions.classList.remove('hidden');
+}
+
 function buildDownloadLink(fileUrl) {
   return fileUrl || '';
 }
 
+function selectedCandidate() {
+  return current.candidates.find((c) => c.fileUrl === $quality.value) || null;
+}
+
 function refreshLink() {
-  const fileUrl = $quality && $quality.value ? $quality.value : '';
-  const link = buildDownloadLink(fileUrl);
+  const chosen = selectedCandidate();
+  // An HLS playlist is not a file the browser can save; the server queue can
+  const browserOk = !!chosen && chosen.source !== 'hls';
+  $download.disabled = !browserOk;
+  const link = buildDownloadLink(browserOk ? chosen.fileUrl : '');
   if ($dlLink) {
     if (link) {
       $dlLink.value = link;
@@ -261,28 +164,26 @@ $resolve.addEventListener('click', async () => {
   $info.classList.add('hidden');
   $quality.disabled = true;
   $download.disabled = true;
+  if ($saveServer) $saveServer.disabled = true;
   $progressWrap.classList.add('hidden');
+  $captions.classList.add('hidden');
   if ($dlLink) { $dlLink.value = ''; $dlLink.disabled = true; }
   if ($copyLink) { $copyLink.disabled = true; }
   try {
     setLoading(true);
-    const { host, id } = await resolveInput($url.value.trim());
-    if (!host || !id) throw new Error('Unable to resolve input. Check the URL.');
-    current.host = host; current.id = id;
-    const meta = await fetchVideoMeta(host, id);
-    current.meta = meta;
+    const resolved = await resolveOnServer($url.value.trim(), $format.value.trim());
+    current.host = resolved.host; current.id = resolved.id;
     // Info
-    $title.textContent = meta.name || meta.title || '';
-    $desc.textContent = meta.description ? String(meta.description).slice(0, 200) : '';
-    const preview = (meta.previewPath && (host + meta.previewPath)) || (meta.thumbnailPath && (host + meta.thumbnailPath));
-    $thumb.src = preview || '';
+    $title.textContent = resolved.title;
+    $desc.textContent = resolved.description ? String(resolved.description).slice(0, 200) : '';
+    $thumb.src = resolved.thumbnailUrl || '';
     $info.classList.remove('hidden');
     // Candidates
-    const cand = buildCandidates(meta);
-    current.candidates = cand;
-    fillQualities(cand);
-    $download.disabled = $quality.disabled;
+    current.candidates = resolved.candidates;
+    fillQualities(resolved.candidates, resolved.selected);
+    if ($saveServer) $saveServer.disabled = $quality.disabled;
     refreshLink();
+    fillCaptions(resolved.captions);
   } catch (e) {
     setError(e && e.message ? e.message : String(e));
   } finally {
@@ -314,16 +215,189 @@ $copyLink && $copyLink.addEventListener('click', async () => {
     setTimeout(() => { $copyLink.textContent = prev; }, 1200);
   }
 });
+// Server-side queue (web/jobs.mjs). Each unfinished job is followed over its
+// Server-Sent Events stream until it is done, failed or canceled.
+const FINAL_STATUSES = ['done', 'failed', 'canceled'];
+const jobStreams = new Map();
+
+function jobDetails(job) {
+  if (job.status === 'failed') return job.error || 'Failed';
+  if (job.status === 'queued' || job.status === 'canceled') return job.status[0].toUpperCase() + job.status.slice(1);
+  const parts = [];
+  const size = job.total ? `${humanSize(job.downloaded) || '0 B'} / ${humanSize(job.total)}` : humanSize(job.downloaded);
+  if (size) parts.push(size);
+  if (job.status === 'running') {
+    if (job.speed) parts.push(`${humanSize(job.speed)}/s`);
+    if (job.eta != null && job.speed) parts.push(`ETA ${formatDuration(job.eta)}`);
+    if (!parts.length) parts.push('Starting...');
+  } else {
+    parts.push(`Saved as ${job.file}`);
+  }
+  return parts.join(' · ');
+}
+
+function renderJob(job) {
+  let row = $jobList.querySelector(`[data-id="${job.id}"]`);
+  if (!row) {
+    row = document.createElement('div');
+    row.className = 'job';
+    row.dataset.id = job.id;
+    row.innerHTML = '<div class="job-head"><span class="title"></span><button class="job-action"></button></div><progress max="100" value="0"></progress><div class="desc"></div>';
+    row.querySelector('button').addEventListener('click', () => removeJob(job.id));
+    $jobList.prepend(row);
+  }
+  const done = FINAL_STATUSES.includes(job.status);
+  row.querySelector('.title').textContent = job.title || job.input;
+  row.querySelector('.desc').textContent = jobDetails(job);
+  row.querySelector('button').textContent = done ? 'Remove' : 'Cancel';
+  const bar = row.querySelector('progress');
+  bar.classList.toggle('hidden', job.status !== 'running');
+  if (job.total) bar.value = (job.downloaded / job.total) * 100;
+  else bar.removeAttribute('value');
+  row.classList.toggle('failed', job.status === 'failed');
+  $jobs.classList.remove('hidden');
+}
+
+function watchJob(id) {
+  if (jobStreams.has(id)) return;
+  const es = new EventSource(`/api/jobs/${encodeURIComponent(id)}/events`);
+  jobStreams.set(id, es);
+  es.addEventListener('job', (ev) => {
+    const job = JSON.parse(ev.data);
+    renderJob(job);
+    if (FINAL_STATUSES.includes(job.status)) {
+      es.close();
+      jobStreams.delete(id);
+    }
+  });
+  // EventSource reconnects by itself; a deleted job answers 404 and ends it
+}
+
+async function removeJob(id) {
+  const r = await fetch(`/api/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (!r.ok) return;
+  const job = await r.json();
+  if (job.removed) {
+    const row = $jobList.querySelector(`[data-id="${id}"]`);
+    if (row) row.remove();
+    if (!$jobList.children.length) $jobs.classList.add('hidden');
+  }
+}
+
+async function loadJobs() {
+  try {
+    const r = await fetch('/api/jobs');
+    if (!r.ok) return;
+    const jobs = await r.json();
+    jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of jobs) {
+      renderJob(job);
+      if (!FINAL_STATUSES.includes(job.status)) watchJob(job.id);
+    }
+  } catch {
+    // Served without server.mjs: no queue
+  }
+}
+
+$saveServer && $saveServer.addEventListener('click', async () => {
+  setError('');
+  try {
+    const chosen = selectedCandidate();
+    // Pin the picked file by its --list-formats index so the server does not
+    // choose again among files of the same height; the selector is the fallback
+    const selector = $format.value.trim();
+    const format = chosen ? [String(chosen.index), selector].filter(Boolean).join('/') : selector || null;
+    const r = await fetch('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: $url.value.trim(), quality: chosen ? chosen.height : null, audioOnly: !!chosen && chosen.kind === 'audio', format }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j.error || `Server error ${r.status}`);
+    renderJob(j);
+    watchJob(j.id);
+  } catch (e) {
+    setError(e && e.message ? e.message : String(e));
+  }
+});
+
+loadJobs();
+
+// Subscriptions of `bvd watch` (/api/subscriptions), shown when the server has
+// SUBSCRIPTIONS_FILE set
+function subscriptionDetails(sub, st) {
+  if (sub.enabled === false) return 'Paused';
+  if (!st || !st.lastCheck) return 'Not checked yet';
+  const parts = [`Checked ${new Date(st.lastCheck).toLocaleString()}`];
+  if (st.lastSaved) parts.push(`${st.lastSaved} new`);
+  if (st.lastError) parts.push(st.lastError);
+  return parts.join(' · ');
+}
+
+function renderSubscriptions(doc) {
+  $subList.textContent = '';
+  for (const sub of doc.subscriptions) {
+    const st = doc.state && doc.state[sub.url];
+    const row = document.createElement('div');
+    row.className = 'job';
+    row.innerHTML = '<div class="job-head"><span class="title"></span><button>Remove</button></div><div class="desc"></div>';
+    row.querySelector('.title').textContent = sub.name || sub.url;
+    row.querySelector('.title').title = sub.url;
+    row.querySelector('.desc').textContent = subscriptionDetails(sub, st);
+    row.classList.toggle('failed', !!(st && st.lastError));
+    row.querySelector('button').addEventListener('click', () => editSubscriptions(`?url=${encodeURIComponent(sub.url)}`, { method: 'DELETE' }));
+    $subList.append(row);
+  }
+  $subs.classList.remove('hidden');
+}
+
+async function editSubscriptions(query, init) {
+  setError('');
+  try {
+    const r = await fetch(`/api/subscriptions${query}`, init);
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(j.error || `Server error ${r.status}`);
+    renderSubscriptions(j);
+    return true;
+  } catch (e) {
+    setError(e && e.message ? e.message : String(e));
+    return false;
+  }
+}
+
+el('subAdd').addEventListener('click', async () => {
+  const url = $subUrl.value.trim();
+  if (!url) return;
+  const ok = await editSubscriptions('', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url }),
+  });
+  if (ok) $subUrl.value = '';
+});
+
+fetch('/api/subscriptions')
+  .then((r) => (r.ok ? r.json() : null))
+  .then((doc) => { if (doc) renderSubscriptions(doc); })
+  .catch(() => {});
+
+// The log out button only makes sense when the server has access control on
+fetch('/api/session')
+  .then((r) => (r.ok ? r.json() : null))
+  .then((s) => { if (s && s.auth) el('logout').classList.remove('hidden'); })
+  .catch(() => {});
+
 $download.addEventListener('click', async () => {
   setError('');
   // Hide progress UI because the browser's download manager will handle it
   $progressWrap.classList.add('hidden');
   try {
-    const fileUrl = $quality.value;
-    if (!fileUrl) throw new Error('Choose a quality first');
-    // Prefer direct download URL; remote server should send Content-Disposition
-    // Use same-tab navigation to avoid opening a streaming preview tab
-    window.location.href = fileUrl;
+    const chosen = selectedCandidate();
+    if (!chosen) throw new Error('Choose a quality first');
+    // Prefer the server's /proxy link, which sends Content-Disposition with the
+    // derived file name; PeerTube's download URL sends its own. Use same-tab
+    // navigation to avoid opening a streaming preview tab
+    window.location.href = chosen.proxyUrl || chosen.downloadUrl || chosen.fileUrl;
   } catch (e) {
     setError(e && e.message ? e.message : String(e));
   }